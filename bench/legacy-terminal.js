@@ -0,0 +1,298 @@
+/**
+ * Terminal Emulator for MUD3
+ * Renders text with ANSI colors and provides scrollback
+ */
+
+class Terminal {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' 
+      ? document.querySelector(container) 
+      : container;
+    
+    this.options = {
+      maxLines: options.maxLines || 2000,
+      fontSize: options.fontSize || '14px',
+      fontFamily: options.fontFamily || "'Cascadia Mono', 'Fira Code', 'Consolas', monospace",
+      resizeDelay: options.resizeDelay || 250,
+      ...options
+    };
+    
+    this.lines = [];
+    this.currentLine = null;
+    this.scrollbackBuffer = [];
+    
+    // Size in character cells, reported through onResize
+    this.cols = 0;
+    this.rows = 0;
+    this.resizeTimer = null;
+    this.onResize = null;
+    
+    this.init();
+  }
+  
+  init() {
+    // Create terminal structure
+    this.element = document.createElement('div');
+    this.element.className = 'terminal';
+    this.element.style.cssText = `
+      font-family: ${this.options.fontFamily};
+      font-size: ${this.options.fontSize};
+      line-height: 1.4;
+      overflow-y: auto;
+      overflow-x: hidden;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+      padding: 8px;
+      height: 100%;
+      box-sizing: border-box;
+    `;
+    
+    this.content = document.createElement('div');
+    this.content.className = 'terminal-content';
+    this.element.appendChild(this.content);
+    
+    this.container.appendChild(this.element);
+    
+    // Start first line
+    this.newLine();
+    
+    // Auto-scroll behavior
+    this.autoScroll = true;
+    this.element.addEventListener('scroll', () => {
+      const atBottom = this.element.scrollHeight - this.element.scrollTop <= this.element.clientHeight + 50;
+      this.autoScroll = atBottom;
+    });
+    
+    // Track size changes (debounced)
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => this.scheduleResize()).observe(this.element);
+    } else {
+      window.addEventListener('resize', () => this.scheduleResize());
+    }
+  }
+  
+  /**
+   * Measure the size of one character cell from the font metrics
+   */
+  measureCell() {
+    const probe = document.createElement('div');
+    probe.className = 'terminal-line';
+    probe.style.cssText = 'position: absolute; visibility: hidden; white-space: pre;';
+    probe.textContent = 'W'.repeat(100);
+    this.element.appendChild(probe);
+    
+    const rect = probe.getBoundingClientRect();
+    probe.remove();
+    
+    return {
+      width: rect.width / 100,
+      height: rect.height
+    };
+  }
+  
+  /**
+   * Get the terminal size in columns and rows
+   * @returns {Object} { cols, rows }
+   */
+  getSize() {
+    const cell = this.measureCell();
+    const style = getComputedStyle(this.element);
+    const width = this.element.clientWidth -
+      parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    const height = this.element.clientHeight -
+      parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+    
+    if (!cell.width || !cell.height) {
+      return { cols: 80, rows: 24 };
+    }
+    
+    return {
+      cols: Math.max(1, Math.floor(width / cell.width)),
+      rows: Math.max(1, Math.floor(height / cell.height))
+    };
+  }
+  
+  /**
+   * Report a size change once resizing has settled
+   */
+  scheduleResize() {
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => {
+      // Hidden terminals (background tabs) have no size
+      if (!this.element.clientWidth) return;
+      
+      const { cols, rows } = this.getSize();
+      if (cols === this.cols && rows === this.rows) return;
+      
+      this.cols = cols;
+      this.rows = rows;
+      if (this.onResize) {
+        this.onResize({ cols, rows });
+      }
+    }, this.options.resizeDelay);
+  }
+  
+  /**
+   * Create a new line element
+   */
+  newLine() {
+    const line = document.createElement('div');
+    line.className = 'terminal-line';
+    this.content.appendChild(line);
+    this.currentLine = line;
+    this.lines.push(line);
+    
+    // Trim old lines if exceeding max
+    while (this.lines.length > this.options.maxLines) {
+      const oldLine = this.lines.shift();
+      oldLine.remove();
+    }
+    
+    return line;
+  }
+  
+  /**
+   * Write styled text segment to terminal
+   */
+  writeSegment(text, fg, bg) {
+    if (!text) return;
+    
+    const span = document.createElement('span');
+    span.textContent = text;
+    
+    if (fg && fg !== '#aaaaaa') {
+      span.style.color = fg;
+    }
+    if (bg && bg !== '#000000') {
+      span.style.backgroundColor = bg;
+    }
+    
+    this.currentLine.appendChild(span);
+  }
+  
+  /**
+   * Write parsed segments to terminal
+   * @param {Array} segments - Array from ANSIParser.parse()
+   */
+  writeSegments(segments) {
+    for (const seg of segments) {
+      if (seg.text) {
+        this.writeSegment(seg.text, seg.fg, seg.bg);
+      } else if (seg.newline) {
+        this.newLine();
+      } else if (seg.clear === 'screen') {
+        this.clear();
+      } else if (seg.clear === 'line') {
+        this.currentLine.innerHTML = '';
+      } else if (seg.bell) {
+        this.bell();
+      }
+    }
+    
+    this.scrollToBottom();
+  }
+  
+  /**
+   * Write raw text (for local echo)
+   */
+  write(text, className = '') {
+    const span = document.createElement('span');
+    span.textContent = text;
+    if (className) {
+      span.className = className;
+    }
+    this.currentLine.appendChild(span);
+    this.scrollToBottom();
+  }
+  
+  /**
+   * Write a line with specific styling
+   */
+  writeLine(text, fg = null, bg = null) {
+    this.writeSegment(text, fg, bg);
+    this.newLine();
+    this.scrollToBottom();
+  }
+  
+  /**
+   * Write system message
+   */
+  writeSystem(text) {
+    const span = document.createElement('span');
+    span.className = 'system-message';
+    span.textContent = text;
+    this.currentLine.appendChild(span);
+    this.newLine();
+    this.scrollToBottom();
+  }
+  
+  /**
+   * Discard the text of the line currently being written (trigger gag)
+   */
+  gagLine() {
+    this.currentLine.innerHTML = '';
+  }
+  
+  /**
+   * Highlight the line currently being written
+   */
+  highlightLine(color) {
+    this.currentLine.classList.add('highlighted');
+    this.currentLine.style.backgroundColor = color;
+  }
+  
+  /**
+   * Clear the terminal
+   */
+  clear() {
+    this.content.innerHTML = '';
+    this.lines = [];
+    this.newLine();
+  }
+  
+  /**
+   * Scroll to bottom
+   */
+  scrollToBottom() {
+    if (this.autoScroll) {
+      requestAnimationFrame(() => {
+        this.element.scrollTop = this.element.scrollHeight;
+      });
+    }
+  }
+  
+  /**
+   * Play bell sound
+   */
+  bell() {
+    // Visual bell - flash the terminal briefly
+    this.element.classList.add('bell');
+    setTimeout(() => {
+      this.element.classList.remove('bell');
+    }, 100);
+    
+    // Could also play audio
+    // const audio = new Audio('data:audio/wav;base64,...');
+    // audio.play();
+  }
+  
+  /**
+   * Focus the terminal
+   */
+  focus() {
+    this.element.focus();
+  }
+  
+  /**
+   * Get all text content (for logging)
+   */
+  getText() {
+    return this.content.textContent;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Terminal;
+}
+
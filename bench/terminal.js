@@ -0,0 +1,103 @@
+/**
+ * Terminal benchmark: the virtualized scrollback against the previous
+ * terminal, which kept one DOM element per line (legacy-terminal.js is
+ * that terminal.js, unchanged).
+ *
+ * Both are loaded into jsdom and fed the same coloured output, 50 lines
+ * per write as it would arrive from the server, with a render after each
+ * write. jsdom does no layout, so the terminal is given a fixed size.
+ *
+ * Usage: npm run bench [-- <lines>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const LINES = parseInt(process.argv[2]) || 20000;
+const BATCH = 50;
+
+const TERMINALS = [
+  ['previous', path.join(__dirname, 'legacy-terminal.js')],
+  ['virtualized', path.join(__dirname, '..', 'client', 'js', 'terminal.js')]
+];
+
+/**
+ * A window with the terminal class loaded, a 800x600 terminal and
+ * animation frames run on demand
+ */
+function load(file) {
+  const dom = new JSDOM('<div id="terminal"></div>', { pretendToBeVisual: true, runScripts: 'outside-only' });
+  const window = dom.window;
+
+  let frames = [];
+  window.requestAnimationFrame = (callback) => frames.push(callback);
+  const runFrames = () => {
+    const pending = frames;
+    frames = [];
+    pending.forEach(callback => callback());
+  };
+
+  const size = (value) => ({ get() { return this.classList.contains('terminal') || this.classList.contains('terminal-live') ? value : 0; } });
+  Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', size(800));
+  Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', size(600));
+  window.HTMLElement.prototype.getBoundingClientRect = () => ({ width: 840, height: 19.6 });
+
+  window.eval(`${fs.readFileSync(file, 'utf8')}\nwindow.Terminal = Terminal;`);
+  const terminal = new window.Terminal(window.document.getElementById('terminal'));
+  return { window, terminal, runFrames };
+}
+
+/**
+ * One line of output: mostly ASCII, with some Latin-1 and wide text
+ */
+function segments(i) {
+  const text = i % 10 === 0
+    ? 'Le café est très bon. 你好, adventurer! '.repeat(3)
+    : 'A goblin attacks you with a rusty sword, ';
+  return [
+    { text: `[${i}] `, fg: '#aaaaaa', bg: '#000000' },
+    { text, fg: '#ff5555', bg: '#000000' },
+    { text: 'you parry.', fg: '#55ff55', bg: '#000000' },
+    { newline: true }
+  ];
+}
+
+function run(name, file) {
+  global.gc?.();
+  const heapBefore = process.memoryUsage().heapUsed;
+  const { window, terminal, runFrames } = load(file);
+
+  const times = [];
+  const started = performance.now();
+  for (let i = 0; i < LINES; i += BATCH) {
+    const batchStarted = performance.now();
+    const batch = [];
+    for (let j = i; j < Math.min(LINES, i + BATCH); j++) {
+      batch.push(...segments(j));
+    }
+    terminal.writeSegments(batch);
+    runFrames();
+    times.push(performance.now() - batchStarted);
+  }
+  const total = performance.now() - started;
+
+  global.gc?.();
+  const heap = process.memoryUsage().heapUsed - heapBefore;
+  times.sort((a, b) => a - b);
+
+  const result = {
+    terminal: name,
+    linesKept: terminal.lines.length,
+    totalMs: Math.round(total),
+    medianWriteMs: +times[times.length >> 1].toFixed(2),
+    worstWriteMs: +times[times.length - 1].toFixed(2),
+    domElements: terminal.element.getElementsByTagName('*').length,
+    heapMB: global.gc ? +(heap / 1048576).toFixed(1) : null
+  };
+  window.close();
+  return result;
+}
+
+console.log(`${LINES} lines, ${BATCH} per write${global.gc ? '' : ' (run with --expose-gc for heap sizes)'}`);
+console.table(TERMINALS.map(([name, file]) => run(name, file)));
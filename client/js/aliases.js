@@ -0,0 +1,112 @@
+/**
+ * Alias Expander for MUD3
+ * Expands user-defined command aliases with argument substitution
+ */
+
+class AliasManager {
+  /**
+   * @param {Object} aliases - Map of alias name to expansion template
+   * @param {AliasManager} fallback - Consulted for names not defined here
+   */
+  constructor(aliases = {}, fallback = null) {
+    this.aliases = aliases;
+    this.fallback = fallback;
+    this.maxDepth = 10;
+    this.maxCommands = 100;
+  }
+  
+  /**
+   * Define or replace an alias
+   * Template syntax: $1-$9 positional args, $* all args, $$ a literal $,
+   * ; separates commands. Without placeholders the args are appended.
+   */
+  set(name, template) {
+    this.aliases[name.trim().toLowerCase()] = template;
+  }
+  
+  remove(name) {
+    delete this.aliases[name.trim().toLowerCase()];
+  }
+  
+  get(name) {
+    const key = name.trim().toLowerCase();
+    if (Object.hasOwn(this.aliases, key)) {
+      return this.aliases[key];
+    }
+    return this.fallback ? this.fallback.get(key) : undefined;
+  }
+  
+  /**
+   * Every alias name, including the fallback's
+   */
+  names() {
+    const names = Object.keys(this.aliases);
+    return this.fallback ? [...new Set([...names, ...this.fallback.names()])] : names;
+  }
+  
+  /**
+   * Expand an input line into the commands to send
+   * An alias is not re-expanded inside its own expansion, so "n" can
+   * be aliased to "n;look".
+   * @param {string} line - Command line as typed
+   * @returns {string[]} Commands to send, in order
+   * @throws {Error} If expansion nests too deep or produces too many commands
+   */
+  expand(line) {
+    const commands = [];
+    this.expandInto(line, [], commands);
+    return commands;
+  }
+  
+  expandInto(line, chain, commands) {
+    if (chain.length > this.maxDepth) {
+      throw new Error(`Alias nesting too deep: ${chain.join(' → ')}`);
+    }
+    
+    const match = line.match(/^\s*(\S+)\s*(.*)$/);
+    const name = match ? match[1].toLowerCase() : '';
+    const template = match && !chain.includes(name) ? this.get(name) : undefined;
+    
+    if (template === undefined) {
+      if (commands.length >= this.maxCommands) {
+        throw new Error(`Alias expands to more than ${this.maxCommands} commands`);
+      }
+      commands.push(line);
+      return;
+    }
+    
+    const argText = match[2].trim();
+    const expanded = this.substitute(template, argText);
+    
+    for (const command of expanded.split(';')) {
+      if (command.trim()) {
+        this.expandInto(command.trim(), [...chain, name], commands);
+      }
+    }
+  }
+  
+  /**
+   * Replace $-placeholders in a template with arguments
+   */
+  substitute(template, argText) {
+    const args = argText ? argText.split(/\s+/) : [];
+    let usedArgs = false;
+    
+    const result = template.replace(/\$(\$|\*|[1-9])/g, (m, token) => {
+      if (token === '$') return '$';
+      usedArgs = true;
+      if (token === '*') return argText;
+      return args[parseInt(token, 10) - 1] || '';
+    });
+    
+    if (!usedArgs && argText) {
+      return result + ' ' + argText;
+    }
+    return result;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AliasManager;
+}
@@ -25,6 +25,20 @@ class ANSIParser {
       15: '#ffffff'  // Bright White
     };
     
+    // Palette indices for the colour names used by MUD2 client codes
+    this.colorNames = {
+      black: 0,
+      red: 1,
+      green: 2,
+      blue: 4,
+      magenta: 5,
+      cyan: 6,
+      white: 15,
+      lightblue: 12,
+      lightgreen: 10,
+      yellow: 11
+    };
+    
     // Current text attributes
     this.reset();
   }
@@ -33,44 +47,209 @@ class ANSIParser {
     this.foreground = 7;  // White
     this.background = 0;  // Black
     this.bold = false;
+    this.dim = false;
+    this.italic = false;
+    this.underline = false;
+    this.blink = false;
     this.reverse = false;
+    this.hidden = false;
+    this.strike = false;
   }
   
-  getForegroundColor() {
+  /**
+   * Set colours from a MUD2 client code
+   * @param {string|number|null} fg - Colour name or palette index (null keeps the current one)
+   * @param {string|number|null} bg - Colour name or palette index (null keeps the current one)
+   */
+  setColors(fg, bg = null) {
+    const index = (color) => (typeof color === 'string' ? this.colorNames[color] : color);
+    
+    const fgIndex = index(fg);
+    if (this.colors[fgIndex]) {
+      this.foreground = fgIndex;
+      this.bold = false;
+    }
+    
+    const bgIndex = index(bg);
+    if (this.colors[bgIndex]) {
+      this.background = bgIndex;
+    }
+  }
+  
+  /**
+   * Colours to draw with, after bold brightening and reverse video
+   * Each is a palette index (0-255) or a '#rrggbb' truecolour.
+   * @returns {Object} { fg, bg }
+   */
+  getColorRefs() {
     let fg = this.foreground;
-    if (this.bold && fg < 8) {
+    if (this.bold && typeof fg === 'number' && fg < 8) {
       fg += 8; // Make bright
     }
-    if (this.reverse) {
-      return this.colors[this.background] || this.colors[0];
-    }
-    return this.colors[fg] || this.colors[7];
+    return this.reverse
+      ? { fg: this.background, bg: fg }
+      : { fg, bg: this.background };
+  }
+  
+  getForegroundColor() {
+    return this.colorValue(this.getColorRefs().fg);
   }
   
   getBackgroundColor() {
-    if (this.reverse) {
-      let fg = this.foreground;
-      if (this.bold && fg < 8) fg += 8;
-      return this.colors[fg] || this.colors[7];
+    return this.colorValue(this.getColorRefs().bg);
+  }
+  
+  /**
+   * CSS colour for a palette index or truecolour
+   * 16-231 are the xterm 6x6x6 colour cube and 232-255 its grey ramp.
+   */
+  colorValue(ref) {
+    if (typeof ref === 'string') return ref;
+    if (ref < 16) return this.colors[ref];
+    
+    const hex = (n) => n.toString(16).padStart(2, '0');
+    if (ref >= 232) {
+      const grey = hex(8 + (ref - 232) * 10);
+      return `#${grey}${grey}${grey}`;
     }
-    return this.colors[this.background] || this.colors[0];
+    
+    const levels = [0, 95, 135, 175, 215, 255];
+    const n = ref - 16;
+    return `#${hex(levels[Math.floor(n / 36)])}${hex(levels[Math.floor(n / 6) % 6])}${hex(levels[n % 6])}`;
   }
   
   /**
-   * Parse SGR (Select Graphic Rendition) parameters
-   * @param {string} params - Semicolon-separated SGR codes
+   * Current attributes, as carried on each text segment
+   * @returns {Object} { fg, bg, bold, dim, italic, underline, blink, hidden, strike }
    */
-  parseSGR(params) {
-    if (!params || params === '' || params === '0') {
-      this.reset();
-      return;
+  getAttributes() {
+    return {
+      ...this.getColorRefs(),
+      bold: this.bold,
+      dim: this.dim,
+      italic: this.italic,
+      underline: this.underline,
+      blink: this.blink,
+      hidden: this.hidden,
+      strike: this.strike
+    };
+  }
+  
+  /**
+   * SGR sequence that sets the current colours and attributes from a reset
+   * Lets state set by MUD2 client codes be written out as ANSI.
+   */
+  getSGR() {
+    const color = (ref, base, extended) => {
+      if (typeof ref === 'string') {
+        return [extended, 2, ...[1, 3, 5].map(i => parseInt(ref.slice(i, i + 2), 16))];
+      }
+      if (ref < 8) return [base + ref];
+      if (ref < 16) return [base + 60 + ref - 8];
+      return [extended, 5, ref];
+    };
+    
+    const codes = [0];
+    if (this.foreground !== 7) codes.push(...color(this.foreground, 30, 38));
+    if (this.background !== 0) codes.push(...color(this.background, 40, 48));
+    
+    const attributes = [
+      [this.bold, 1], [this.dim, 2], [this.italic, 3], [this.underline, 4],
+      [this.blink, 5], [this.reverse, 7], [this.hidden, 8], [this.strike, 9]
+    ];
+    for (const [on, code] of attributes) {
+      if (on) codes.push(code);
     }
+    return `\x1b[${codes.join(';')}m`;
+  }
+  
+  /**
+   * A text segment in the current colours and attributes
+   */
+  segment(text) {
+    return {
+      text,
+      fg: this.getForegroundColor(),
+      bg: this.getBackgroundColor(),
+      attrs: this.getAttributes()
+    };
+  }
+  
+  /**
+   * Handle a CSI sequence other than the ones we skip
+   * @param {string} finalByte - Letter ending the sequence
+   * @param {string} params - Parameter bytes
+   * @param {Array} segments - Output segments to add screen controls to
+   */
+  parseCSI(finalByte, params, segments) {
+    const numbers = this.parseParams(params);
     
-    const codes = params.split(';').map(n => parseInt(n, 10));
+    if (finalByte === 'm') { // SGR - colors/attributes
+      this.parseSGR(params);
+    } else if (finalByte === 'J') { // Erase in display
+      segments.push({ clear: 'screen', mode: numbers[0] || 0 });
+    } else if (finalByte === 'K') { // Erase in line
+      segments.push({ clear: 'line', mode: numbers[0] || 0 });
+    } else if ('HfABCDEFGd'.includes(finalByte)) { // Cursor movement
+      segments.push({ cursorMove: finalByte, params: numbers });
+    } else if ('rSTLMP@Xsuhl'.includes(finalByte)) { // Other screen controls
+      segments.push({ control: finalByte, params: numbers, private: params.startsWith('?') });
+    }
+  }
+  
+  /**
+   * Numbers of a CSI parameter string, e.g. "?1049" -> [1049], "5;" -> [5, null]
+   */
+  parseParams(params) {
+    if (!params) return [];
+    return params.replace(/^[<=>?]/, '').split(';').map(n => {
+      const value = parseInt(n, 10);
+      return isNaN(value) ? null : value;
+    });
+  }
+  
+  /**
+   * Parse SGR (Select Graphic Rendition) parameters
+   * See the ANSI Support table in the README for what each code does.
+   * @param {string} params - Semicolon-separated SGR codes, with
+   *   extended colours as 38;5;n / 38;2;r;g;b or the colon forms 38:5:n / 38:2::r:g:b
+   */
+  parseSGR(params) {
+    // An empty parameter means 0, so ESC[m resets
+    const codes = (params || '').split(';');
     
-    for (const code of codes) {
+    for (let i = 0; i < codes.length; i++) {
+      const [code, ...sub] = codes[i].split(':').map(n => (n === '' ? 0 : parseInt(n, 10)));
       if (isNaN(code)) continue;
       
+      // 58 (underline colour) is read only so its arguments aren't taken for codes
+      if (code === 38 || code === 48 || code === 58) {
+        // The colon form carries its arguments; the semicolon form takes the following codes
+        const colon = codes[i].includes(':');
+        const args = colon ? sub : codes.slice(i + 1, i + 5).map(n => parseInt(n, 10) || 0);
+        const { color, used } = this.parseExtendedColor(args, colon);
+        if (!colon) {
+          i += used;
+        }
+        if (color !== null && code === 38) {
+          this.foreground = color;
+        } else if (color !== null && code === 48) {
+          this.background = color;
+        }
+        continue;
+      }
+    
+      if (code >= 30 && code <= 37) {
+        this.foreground = code - 30;
+      } else if (code >= 40 && code <= 47) {
+        this.background = code - 40;
+      } else if (code >= 90 && code <= 97) {
+        // Bright colours (aixterm, non-standard but common)
+        this.foreground = code - 90 + 8;
+      } else if (code >= 100 && code <= 107) {
+        this.background = code - 100 + 8;
+      }
+      
       switch (code) {
         case 0: // Reset
           this.reset();
@@ -78,52 +257,94 @@ class ANSIParser {
         case 1: // Bold
           this.bold = true;
           break;
+        case 2: // Dim
+          this.dim = true;
+          break;
+        case 3: // Italic
+          this.italic = true;
+          break;
+        case 4: // Underline
+        case 21: // Double underline
+          this.underline = true;
+          break;
+        case 5: // Slow blink
+        case 6: // Rapid blink
+          this.blink = true;
+          break;
         case 7: // Reverse
           this.reverse = true;
           break;
+        case 8: // Conceal
+          this.hidden = true;
+          break;
+        case 9: // Strikethrough
+          this.strike = true;
+          break;
         case 22: // Normal intensity
           this.bold = false;
+          this.dim = false;
+          break;
+        case 23: // Italic off
+          this.italic = false;
+          break;
+        case 24: // Underline off
+          this.underline = false;
+          break;
+        case 25: // Blink off
+          this.blink = false;
           break;
         case 27: // Reverse off
           this.reverse = false;
           break;
-        // Foreground colors
-        case 30: this.foreground = 0; break;
-        case 31: this.foreground = 1; break;
-        case 32: this.foreground = 2; break;
-        case 33: this.foreground = 3; break;
-        case 34: this.foreground = 4; break;
-        case 35: this.foreground = 5; break;
-        case 36: this.foreground = 6; break;
-        case 37: this.foreground = 7; break;
-        case 39: this.foreground = 7; break; // Default
-        // Background colors
-        case 40: this.background = 0; break;
-        case 41: this.background = 1; break;
-        case 42: this.background = 2; break;
-        case 43: this.background = 3; break;
-        case 44: this.background = 4; break;
-        case 45: this.background = 5; break;
-        case 46: this.background = 6; break;
-        case 47: this.background = 7; break;
-        case 49: this.background = 0; break; // Default
-        // Bright foreground (non-standard but common)
-        case 90: this.foreground = 8; break;
-        case 91: this.foreground = 9; break;
-        case 92: this.foreground = 10; break;
-        case 93: this.foreground = 11; break;
-        case 94: this.foreground = 12; break;
-        case 95: this.foreground = 13; break;
-        case 96: this.foreground = 14; break;
-        case 97: this.foreground = 15; break;
+        case 28: // Reveal
+          this.hidden = false;
+          break;
+        case 29: // Strikethrough off
+          this.strike = false;
+          break;
+        case 39: // Default foreground
+          this.foreground = 7;
+          break;
+        case 49: // Default background
+          this.background = 0;
+          break;
+      }
+    }
+  }
+  
+  /**
+   * Read the colour after SGR 38, 48 or 58
+   * @param {number[]} args - 5;n for a palette index or 2;r;g;b for truecolour
+   * @param {boolean} colon - Colon form, where 2 may carry a colour space id first
+   * @returns {Object} { color, used } - color is null if invalid; used is how many args were read
+   */
+  parseExtendedColor(args, colon) {
+    const byte = (n) => Number.isInteger(n) && n >= 0 && n <= 255;
+    
+    if (args[0] === 5) {
+      return { color: byte(args[1]) ? args[1] : null, used: 2 };
+    }
+    if (args[0] === 2) {
+      const rgb = colon && args.length > 4 ? args.slice(2, 5) : args.slice(1, 4);
+      if (rgb.length < 3 || !rgb.every(byte)) {
+        return { color: null, used: 4 };
       }
+      return {
+        color: '#' + rgb.map(n => n.toString(16).padStart(2, '0')).join(''),
+        used: 4
+      };
     }
+    return { color: null, used: 0 };
   }
   
   /**
    * Parse a data buffer and return styled segments
    * @param {Uint8Array|string} data - Raw data from server
-   * @returns {Array} Array of {text, fg, bg, clear, newline, bell, cursorMove}
+   * Screen controls come out as { clear: 'screen'|'line', mode },
+   * { cursorMove: 'H'|'A'..., params }, { control: 'r'|'IND'..., params, private },
+   * { carriageReturn } and { backspace }; params are 1-based numbers, null
+   * where left out.
+   * @returns {Array} Array of {text, fg, bg, attrs, newline, bell, ...screen controls}
    */
   parse(data) {
     const segments = [];
@@ -144,11 +365,7 @@ class ANSIParser {
       if (charCode === 0x1B) {
         // Flush buffer
         if (buffer) {
-          segments.push({
-            text: buffer,
-            fg: this.getForegroundColor(),
-            bg: this.getBackgroundColor()
-          });
+          segments.push(this.segment(buffer));
           buffer = '';
         }
         
@@ -172,37 +389,34 @@ class ANSIParser {
               }
             }
             
+            // Intermediate bytes (space to /), e.g. ESC [ 2 SP q
+            let intermediate = '';
+            while (j < filtered.length && filtered.charCodeAt(j) >= 0x20 && filtered.charCodeAt(j) <= 0x2F) {
+              intermediate += filtered[j];
+              j++;
+            }
+            
             // Get final byte
             if (j < filtered.length) {
-              const finalByte = filtered[j];
-              
-              switch (finalByte) {
-                case 'm': // SGR - colors/attributes
-                  this.parseSGR(params);
-                  break;
-                case 'H': // Cursor position
-                case 'f':
-                  segments.push({ cursorMove: params || '1;1' });
-                  break;
-                case 'J': // Clear screen
-                  if (params === '' || params === '2') {
-                    segments.push({ clear: 'screen' });
-                  }
-                  break;
-                case 'K': // Clear line
-                  segments.push({ clear: 'line' });
-                  break;
-                case 'A': // Cursor up
-                case 'B': // Cursor down
-                case 'C': // Cursor forward
-                case 'D': // Cursor back
-                  segments.push({ cursorMove: finalByte + (params || '1') });
-                  break;
+              // Sequences with intermediates (cursor style and the like) change nothing we draw
+              if (!intermediate) {
+                this.parseCSI(filtered[j], params, segments);
               }
               
               i = j + 1;
               continue;
             }
+          } else if ('78DMEc'.includes(next)) {
+            // Two-byte controls: save/restore cursor, index, reverse index,
+            // next line and reset
+            const names = { 7: 's', 8: 'u', D: 'IND', M: 'RI', E: 'NEL', c: 'RIS' };
+            segments.push({ control: names[next], params: [], private: false });
+            i += 2;
+            continue;
+          } else if ('()*+'.includes(next)) {
+            // Character set designation (ESC ( B etc.), ignored
+            i += 3;
+            continue;
           } else if (next === '-') {
             // MUD2 client mode code - handled separately
             // Pass through for MUD2 parser
@@ -219,11 +433,7 @@ class ANSIParser {
       // Bell character
       if (charCode === 0x07) {
         if (buffer) {
-          segments.push({
-            text: buffer,
-            fg: this.getForegroundColor(),
-            bg: this.getBackgroundColor()
-          });
+          segments.push(this.segment(buffer));
           buffer = '';
         }
         segments.push({ bell: true });
@@ -231,20 +441,36 @@ class ANSIParser {
         continue;
       }
       
-      // Carriage return
+      // Carriage return: before LF it is part of the line break, which
+      // we handle at the LF; on its own it returns to the start of the line
+      // (one at the end of the data is taken to start a CR LF)
       if (charCode === 0x0D) {
+        if (i + 1 < filtered.length && filtered.charCodeAt(i + 1) !== 0x0A) {
+          if (buffer) {
+            segments.push(this.segment(buffer));
+            buffer = '';
+          }
+          segments.push({ carriageReturn: true });
+        }
+        i++;
+        continue;
+      }
+      
+      // Backspace
+      if (charCode === 0x08) {
+        if (buffer) {
+          segments.push(this.segment(buffer));
+          buffer = '';
+        }
+        segments.push({ backspace: true });
         i++;
-        continue; // Skip CR, we handle LF
+        continue;
       }
       
       // Line feed
       if (charCode === 0x0A) {
         if (buffer) {
-          segments.push({
-            text: buffer,
-            fg: this.getForegroundColor(),
-            bg: this.getBackgroundColor()
-          });
+          segments.push(this.segment(buffer));
           buffer = '';
         }
         segments.push({ newline: true });
@@ -265,11 +491,7 @@ class ANSIParser {
     
     // Flush remaining buffer
     if (buffer) {
-      segments.push({
-        text: buffer,
-        fg: this.getForegroundColor(),
-        bg: this.getBackgroundColor()
-      });
+      segments.push(this.segment(buffer));
     }
     
     return segments;
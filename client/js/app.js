@@ -12,64 +12,150 @@ class MUD3Client {
       ...options
     };
     
-    this.ws = null;
-    this.connected = false;
-    this.reconnectTimer = null;
-    
-    // Components
-    this.terminal = null;
-    this.ansiParser = new ANSIParser();
-    this.mud2 = new MUD2Protocol();
+    // Sessions, one per tab
+    this.sessions = [];
+    this.activeSession = null;
+    this.nextSessionId = 1;
     
     // UI elements
     this.elements = {};
     
-    // Command history
-    this.history = [];
-    this.historyIndex = -1;
-    this.maxHistory = 100;
-    
     // Settings
     this.settings = {
       theme: 'fantasy',
       showButtons: true,
+      showMap: false,
+      showStats: false,
       localEcho: false,
-      fontSize: 14
+      screenMode: true,
+      fontSize: 14,
+      logging: false,
+      logMaxMB: 20,
+      copyDreamword: false,
+      dreamwords: {},
+      aliases: {},
+      triggers: [],
+      disabledTriggerGroups: [],
+      keybindings: KeyBindings.defaults()
     };
     
     this.loadSettings();
+    this.aliases = new AliasManager(this.settings.aliases);
+    this.triggers = new TriggerEngine(this.settings.triggers, this.settings.disabledTriggerGroups);
+    
+    // Character profiles, kept apart from the settings
+    this.profiles = new ProfileManager();
+    this.editingProfile = null;
+    
+    // Key binding row waiting for a chord in the editor
+    this.capturingRow = null;
+    
+    // Maps, stat history and logs are stored in IndexedDB
+    this.storage = new MUD3Storage();
+    
+    this.audioContext = null;
     this.init();
   }
   
   init() {
     // Get DOM elements
     this.elements = {
-      terminal: document.getElementById('terminal'),
       input: document.getElementById('command-input'),
       sendBtn: document.getElementById('send-btn'),
       connectBtn: document.getElementById('connect-btn'),
-      statusBar: document.getElementById('status-bar'),
+      completionList: document.getElementById('completion-list'),
+      sessionTabs: document.getElementById('session-tabs'),
+      sessionAdd: document.getElementById('session-add'),
+      statusBars: document.getElementById('status-bars'),
+      statusBarTemplate: document.getElementById('status-bar-template'),
+      terminalFrame: document.getElementById('terminal-frame'),
+      searchBar: document.getElementById('search-bar'),
+      searchInput: document.getElementById('search-input'),
+      searchRegex: document.getElementById('search-regex'),
+      searchCase: document.getElementById('search-case'),
+      searchCount: document.getElementById('search-count'),
+      searchPrev: document.getElementById('search-prev'),
+      searchNext: document.getElementById('search-next'),
+      searchClose: document.getElementById('search-close'),
       buttonPanel: document.getElementById('button-panel'),
       themeToggle: document.getElementById('theme-toggle'),
       buttonsToggle: document.getElementById('buttons-toggle'),
       connectionStatus: document.getElementById('connection-status'),
-      // Stats elements
-      statSta: document.getElementById('stat-sta'),
-      statDex: document.getElementById('stat-dex'),
-      statStr: document.getElementById('stat-str'),
-      statMag: document.getElementById('stat-mag'),
-      statPts: document.getElementById('stat-pts'),
-      statWeather: document.getElementById('stat-weather')
+      aliasesBtn: document.getElementById('aliases-btn'),
+      aliasDialog: document.getElementById('alias-dialog'),
+      aliasList: document.getElementById('alias-list'),
+      aliasAdd: document.getElementById('alias-add'),
+      aliasScope: document.getElementById('alias-scope'),
+      aliasScopeField: document.getElementById('alias-scope-field'),
+      triggersBtn: document.getElementById('triggers-btn'),
+      triggerDialog: document.getElementById('trigger-dialog'),
+      triggerList: document.getElementById('trigger-list'),
+      triggerGroups: document.getElementById('trigger-groups'),
+      triggerAdd: document.getElementById('trigger-add'),
+      keysBtn: document.getElementById('keys-btn'),
+      keyDialog: document.getElementById('key-dialog'),
+      keyList: document.getElementById('key-list'),
+      keyAdd: document.getElementById('key-add'),
+      keyReset: document.getElementById('key-reset'),
+      keyScope: document.getElementById('key-scope'),
+      keyScopeField: document.getElementById('key-scope-field'),
+      keyConflicts: document.getElementById('key-conflicts'),
+      mapToggle: document.getElementById('map-toggle'),
+      statsToggle: document.getElementById('stats-toggle'),
+      statsPanel: document.getElementById('stats-panel'),
+      statsGraph: document.getElementById('stats-graph'),
+      statsSummary: document.getElementById('stats-summary'),
+      mapPanel: document.getElementById('map-panel'),
+      mapView: document.getElementById('map-view'),
+      mapRoom: document.getElementById('map-room'),
+      mapExport: document.getElementById('map-export'),
+      mapImport: document.getElementById('map-import'),
+      mapImportFile: document.getElementById('map-import-file'),
+      mapClear: document.getElementById('map-clear'),
+      profilesBtn: document.getElementById('profiles-btn'),
+      profileDialog: document.getElementById('profile-dialog'),
+      profileList: document.getElementById('profile-list'),
+      profileForm: document.getElementById('profile-form'),
+      profileAdd: document.getElementById('profile-add'),
+      profileSave: document.getElementById('profile-save'),
+      profileCancel: document.getElementById('profile-cancel'),
+      profileName: document.getElementById('profile-name'),
+      profileWsUrl: document.getElementById('profile-ws-url'),
+      profileTarget: document.getElementById('profile-target'),
+      profileAccount: document.getElementById('profile-account'),
+      profileLocalEcho: document.getElementById('profile-local-echo'),
+      profileLogging: document.getElementById('profile-logging'),
+      profileScreenMode: document.getElementById('profile-screen-mode'),
+      profileAutoLogin: document.getElementById('profile-auto-login'),
+      profilePassword: document.getElementById('profile-password'),
+      passphraseDialog: document.getElementById('passphrase-dialog'),
+      passphraseHint: document.getElementById('passphrase-hint'),
+      passphraseInput: document.getElementById('passphrase-input'),
+      passphraseCancel: document.getElementById('passphrase-cancel'),
+      logsBtn: document.getElementById('logs-btn'),
+      logDialog: document.getElementById('log-dialog'),
+      logList: document.getElementById('log-list'),
+      logEnabled: document.getElementById('log-enabled'),
+      logMaxSize: document.getElementById('log-max-size'),
+      dreamwordDialog: document.getElementById('dreamword-dialog'),
+      dreamwordList: document.getElementById('dreamword-list'),
+      dreamwordCopy: document.getElementById('dreamword-copy'),
+      dreamwordClear: document.getElementById('dreamword-clear'),
+      profileChip: document.getElementById('profile-chip')
     };
     
-    // Initialize terminal
-    this.terminal = new Terminal(this.elements.terminal, {
-      fontSize: this.settings.fontSize + 'px'
-    });
+    // Map and stat graph show the active session
+    if (this.elements.mapView) {
+      this.mapView = new MapView(this.elements.mapView);
+    }
+    if (this.elements.statsGraph) {
+      this.statGraph = new StatGraph(this.elements.statsGraph);
+    }
     
-    // Set up MUD2 callbacks
-    this.mud2.onStatsUpdate = (stats) => this.updateStatsDisplay(stats);
-    this.mud2.onModeChange = (mode) => this.onModeChange(mode);
+    // Reset countdowns run between FES updates
+    setInterval(() => {
+      this.sessions.forEach(session => session.updateResetCountdown());
+    }, 1000);
     
     // Bind events
     this.bindEvents();
@@ -77,17 +163,44 @@ class MUD3Client {
     // Apply settings
     this.applyTheme(this.settings.theme);
     this.applyButtonVisibility(this.settings.showButtons);
+    this.applyMapVisibility(this.settings.showMap);
+    this.applyStatsVisibility(this.settings.showStats);
     
-    // Welcome message
-    this.terminal.writeSystem('🏰 MUD3 Client - Welcome to The Land!');
-    this.terminal.writeSystem('Click "Connect" or press Enter to connect to MUDII.');
+    // First session, showing the stats from before a reload
+    this.addSession();
+    this.loadStatHistory();
   }
   
   bindEvents() {
     // Input handling
     this.elements.input.addEventListener('keydown', (e) => this.handleInputKey(e));
+    this.elements.input.addEventListener('blur', () => this.hideCompletions());
+    this.elements.completionList?.addEventListener('mousedown', (e) => {
+      // Keep the focus in the input
+      e.preventDefault();
+      const item = e.target.closest('[data-index]');
+      if (item) {
+        this.showCompletion(this.activeSession.completer.choose(Number(item.dataset.index)));
+        this.hideCompletions();
+      }
+    });
     this.elements.sendBtn?.addEventListener('click', () => this.sendCommand());
-    this.elements.connectBtn?.addEventListener('click', () => this.toggleConnection());
+    this.elements.connectBtn?.addEventListener('click', () => this.activeSession.toggleConnection());
+    
+    // Session tabs
+    this.elements.sessionAdd?.addEventListener('click', () => this.addSession());
+    this.elements.sessionTabs?.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-session]');
+      if (!tab) return;
+      
+      const session = this.sessions.find(s => s.id === Number(tab.dataset.session));
+      if (e.target.closest('.session-close')) {
+        this.closeSession(session);
+      } else {
+        this.switchSession(session);
+      }
+    });
+    document.addEventListener('keydown', (e) => this.handleKeyBinding(e));
     
     // Quick command buttons
     document.querySelectorAll('[data-cmd]').forEach(btn => {
@@ -105,14 +218,161 @@ class MUD3Client {
     });
     
     // Buttons toggle
-    this.elements.buttonsToggle?.addEventListener('click', () => {
-      this.settings.showButtons = !this.settings.showButtons;
-      this.applyButtonVisibility(this.settings.showButtons);
+    this.elements.buttonsToggle?.addEventListener('click', () => this.runKeyAction('toggle-buttons'));
+    
+    // Alias editor
+    this.elements.aliasesBtn?.addEventListener('click', () => this.openAliasDialog());
+    this.elements.aliasAdd?.addEventListener('click', () => {
+      this.addAliasRow('', '').querySelector('input').focus();
+    });
+    this.elements.aliasScope?.addEventListener('change', () => this.renderAliasList());
+    this.elements.aliasList?.addEventListener('input', () => this.readAliasList());
+    this.elements.aliasList?.addEventListener('click', (e) => {
+      const remove = e.target.closest('.alias-remove');
+      if (remove) {
+        remove.closest('.alias-row').remove();
+        this.readAliasList();
+      }
+    });
+    
+    // Trigger editor
+    this.elements.triggersBtn?.addEventListener('click', () => this.openTriggerDialog());
+    this.elements.triggerAdd?.addEventListener('click', () => {
+      this.addTriggerRow({}).querySelector('input').focus();
+    });
+    this.elements.triggerList?.addEventListener('input', () => this.readTriggerList());
+    this.elements.triggerList?.addEventListener('click', (e) => {
+      const remove = e.target.closest('.trigger-remove');
+      if (remove) {
+        remove.closest('.trigger-row').remove();
+        this.readTriggerList();
+      }
+    });
+    this.elements.triggerGroups?.addEventListener('change', (e) => {
+      this.triggers.setGroupEnabled(e.target.value, e.target.checked);
+      this.saveSettings();
+    });
+    
+    // Scrollback search
+    this.elements.searchInput?.addEventListener('input', () => this.runSearch());
+    this.elements.searchRegex?.addEventListener('change', () => this.runSearch());
+    this.elements.searchCase?.addEventListener('change', () => this.runSearch());
+    this.elements.searchPrev?.addEventListener('click', () => this.stepSearch(-1));
+    this.elements.searchNext?.addEventListener('click', () => this.stepSearch(1));
+    this.elements.searchClose?.addEventListener('click', () => this.closeSearch());
+    this.elements.searchInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.stepSearch(e.shiftKey ? 1 : -1);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeSearch();
+      } else if (this.getKeyBindings().find(KeyBindings.chordFromEvent(e))?.action === 'search') {
+        // Pressing the search key again selects the query instead of opening the browser's find
+        e.preventDefault();
+        e.target.select();
+      }
+    });
+    
+    // Key bindings editor
+    this.elements.keysBtn?.addEventListener('click', () => this.openKeyDialog());
+    this.elements.keyAdd?.addEventListener('click', () => {
+      this.captureChord(this.addKeyRow({ chord: '', action: 'send', value: '' }));
+    });
+    this.elements.keyReset?.addEventListener('click', () => this.resetKeyBindings());
+    this.elements.keyScope?.addEventListener('change', () => this.renderKeyList());
+    this.elements.keyList?.addEventListener('input', () => this.readKeyList());
+    this.elements.keyList?.addEventListener('click', (e) => {
+      const row = e.target.closest('.key-row');
+      if (e.target.closest('.key-chord')) {
+        this.captureChord(row);
+      } else if (e.target.closest('.key-remove')) {
+        row.remove();
+        this.readKeyList();
+      }
+    });
+    this.elements.keyDialog?.addEventListener('keydown', (e) => this.handleChordCapture(e));
+    this.elements.keyDialog?.addEventListener('close', () => {
+      this.capturingRow = null;
+    });
+    
+    // Map panel
+    this.elements.mapToggle?.addEventListener('click', () => this.runKeyAction('toggle-map'));
+    // Stats panel
+    this.elements.statsToggle?.addEventListener('click', () => this.runKeyAction('toggle-stats'));
+    
+    this.elements.mapExport?.addEventListener('click', () => this.exportMap());
+    this.elements.mapImport?.addEventListener('click', () => this.elements.mapImportFile.click());
+    this.elements.mapImportFile?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importMap(file);
+    });
+    this.elements.mapClear?.addEventListener('click', () => {
+      if (confirm('Clear the whole map?')) {
+        this.activeSession.mapper.clear();
+      }
+    });
+    
+    // Dreamwords (each status bar has its own badge)
+    this.elements.statusBars?.addEventListener('click', (e) => {
+      if (e.target.closest('.stat-dreamword')) {
+        this.openDreamwordDialog();
+      }
+    });
+    this.elements.dreamwordCopy?.addEventListener('change', (e) => {
+      this.settings.copyDreamword = e.target.checked;
+      this.saveSettings();
+    });
+    this.elements.dreamwordClear?.addEventListener('click', () => {
+      delete this.settings.dreamwords[this.activeSession.getCharacterName()];
+      this.saveSettings();
+      this.renderDreamwordList();
+    });
+    this.elements.dreamwordList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-word]');
+      if (button) {
+        this.copyText(button.dataset.word);
+      }
+    });
+    
+    // Character profiles
+    this.elements.profilesBtn?.addEventListener('click', () => this.openProfileDialog());
+    this.elements.profileAdd?.addEventListener('click', () => this.editProfile(null));
+    this.elements.profileCancel?.addEventListener('click', () => {
+      this.elements.profileForm.hidden = true;
+    });
+    this.elements.profileSave?.addEventListener('click', () => this.saveProfileForm());
+    this.elements.profileList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleProfileAction(button.dataset.action, button.closest('.profile-row').dataset.id);
+      }
+    });
+    this.elements.passphraseCancel?.addEventListener('click', () => {
+      this.elements.passphraseDialog.close('cancel');
+    });
+    
+    // Session logs
+    this.elements.logsBtn?.addEventListener('click', () => this.openLogDialog());
+    this.elements.logEnabled?.addEventListener('change', (e) => this.setLogging(e.target.checked));
+    this.elements.logMaxSize?.addEventListener('change', (e) => {
+      this.settings.logMaxMB = Math.max(1, parseInt(e.target.value, 10) || 20);
+      e.target.value = this.settings.logMaxMB;
+      for (const session of this.sessions) {
+        session.logger.options.maxBytes = this.settings.logMaxMB * 1024 * 1024;
+      }
       this.saveSettings();
     });
+    this.elements.logList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleLogAction(button.dataset.action, button.closest('.log-row').dataset.id);
+      }
+    });
     
     // Focus input on terminal click
-    this.elements.terminal.addEventListener('click', () => {
+    this.elements.terminalFrame.addEventListener('click', () => {
       this.elements.input.focus();
     });
     
@@ -125,313 +385,1373 @@ class MUD3Client {
     });
   }
   
+  /**
+   * Enter sends and Tab completes; other keys go through the key bindings
+   */
   handleInputKey(e) {
-    switch (e.key) {
-      case 'Enter':
-        e.preventDefault();
-        if (!this.connected) {
-          this.connect();
-        } else {
-          this.sendCommand();
-        }
-        break;
-        
-      case 'ArrowUp':
-        e.preventDefault();
-        this.navigateHistory(-1);
-        break;
-        
-      case 'ArrowDown':
-        e.preventDefault();
-        this.navigateHistory(1);
-        break;
-        
-      case 'Escape':
-        this.elements.input.value = '';
-        this.historyIndex = -1;
-        break;
+    if (e.isComposing) return;
+    
+    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      e.preventDefault();
+      this.completeInput(e.shiftKey ? -1 : 1);
+      return;
+    }
+    if (!/^(Shift|Control|Alt|Meta)$/.test(e.key)) {
+      this.hideCompletions();
+    }
+    if (e.key !== 'Enter') return;
+    
+    e.preventDefault();
+    if (!this.activeSession.connected) {
+      this.activeSession.connect();
+    } else {
+      this.sendCommand();
     }
   }
   
-  navigateHistory(direction) {
-    if (this.history.length === 0) return;
+  /**
+   * Put a history line in the input, cursor at the end
+   */
+  showHistory(line) {
+    if (line === null) return;
     
-    this.historyIndex += direction;
+    this.elements.input.value = line;
+    setTimeout(() => {
+      this.elements.input.selectionStart = this.elements.input.value.length;
+    }, 0);
+  }
+  
+  // ==================== Completion ====================
+  
+  /**
+   * Complete the word before the cursor; repeated Tabs cycle through the candidates
+   */
+  completeInput(direction) {
+    const session = this.activeSession;
+    const input = this.elements.input;
+    const result = session.completer.complete(input.value, input.selectionStart, {
+      history: session.history,
+      aliases: session.aliases.names()
+    }, direction);
     
-    if (this.historyIndex < 0) {
-      this.historyIndex = -1;
-      this.elements.input.value = '';
+    if (!result) {
+      this.hideCompletions();
       return;
     }
     
-    if (this.historyIndex >= this.history.length) {
-      this.historyIndex = this.history.length - 1;
+    this.showCompletion(result);
+    this.renderCompletions(result.candidates, result.index);
+  }
+  
+  showCompletion(result) {
+    if (!result) return;
+    
+    this.elements.input.value = result.value;
+    this.elements.input.setSelectionRange(result.cursor, result.cursor);
+  }
+  
+  /**
+   * List the candidates above the input, the current one marked
+   */
+  renderCompletions(candidates, index) {
+    const list = this.elements.completionList;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    candidates.forEach((word, i) => {
+      const item = document.createElement('li');
+      item.className = 'completion-item';
+      item.classList.toggle('active', i === index);
+      item.dataset.index = i;
+      item.textContent = word;
+      list.appendChild(item);
+    });
+    
+    // A single candidate is already in the input
+    list.hidden = candidates.length < 2;
+    list.querySelector('.active')?.scrollIntoView?.({ block: 'nearest' });
+  }
+  
+  hideCompletions() {
+    this.activeSession?.completer.reset();
+    if (this.elements.completionList) {
+      this.elements.completionList.hidden = true;
+    }
+  }
+  
+  // ==================== Search ====================
+  
+  openSearch() {
+    const { searchBar, searchInput } = this.elements;
+    if (!searchBar) return;
+    
+    searchBar.hidden = false;
+    searchInput.focus();
+    searchInput.select();
+    if (searchInput.value) {
+      this.runSearch();
+    }
+  }
+  
+  closeSearch() {
+    this.elements.searchBar.hidden = true;
+    this.endSearch(this.activeSession.terminal);
+    this.elements.input.focus();
+  }
+  
+  endSearch(terminal) {
+    terminal.onSearchChange = null;
+    if (terminal.search) {
+      terminal.setSearch(null);
+    }
+  }
+  
+  /**
+   * Search the active tab's scrollback for the text in the search bar
+   * and show the newest match
+   */
+  runSearch() {
+    const { searchInput, searchRegex, searchCase, searchCount } = this.elements;
+    const terminal = this.activeSession.terminal;
+    const query = searchInput.value;
+    
+    let pattern = null;
+    if (query) {
+      const source = searchRegex.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      try {
+        pattern = new RegExp(source, searchCase.checked ? 'g' : 'gi');
+      } catch {
+        this.endSearch(terminal);
+        searchCount.textContent = 'Invalid pattern';
+        searchCount.classList.add('error');
+        return;
+      }
     }
     
-    this.elements.input.value = this.history[this.history.length - 1 - this.historyIndex];
+    terminal.onSearchChange = (result) => this.renderSearchCount(result);
+    terminal.setSearch(pattern);
+    this.renderSearchCount(terminal.findNext(-1));
+  }
+  
+  /**
+   * Go to an older (-1) or newer (1) match
+   */
+  stepSearch(direction) {
+    this.renderSearchCount(this.activeSession.terminal.findNext(direction));
+  }
+  
+  renderSearchCount({ index, count }) {
+    const el = this.elements.searchCount;
+    el.classList.remove('error');
     
-    // Move cursor to end
-    setTimeout(() => {
-      this.elements.input.selectionStart = this.elements.input.value.length;
-    }, 0);
+    if (!this.elements.searchInput.value) {
+      el.textContent = '';
+    } else if (!count) {
+      el.textContent = 'No matches';
+    } else {
+      el.textContent = `${index < 0 ? '–' : index + 1} / ${count}`;
+    }
   }
   
-  addToHistory(cmd) {
-    if (!cmd.trim()) return;
+  // ==================== Sessions ====================
+  
+  /**
+   * Open a new session in its own tab and switch to it
+   */
+  addSession() {
+    const session = new MUD3Session(this, {
+      id: this.nextSessionId++,
+      wsUrl: this.options.wsUrl,
+      autoReconnect: this.options.autoReconnect,
+      reconnectDelay: this.options.reconnectDelay,
+      terminalFrame: this.elements.terminalFrame,
+      statusBars: this.elements.statusBars,
+      statusBarTemplate: this.elements.statusBarTemplate
+    });
     
-    // Don't add duplicates
-    if (this.history[this.history.length - 1] !== cmd) {
-      this.history.push(cmd);
-      if (this.history.length > this.maxHistory) {
-        this.history.shift();
+    session.onStatusChange = (s) => {
+      this.renderTabs();
+      if (s === this.activeSession) {
+        this.renderConnection();
       }
+    };
+    session.onActivity = () => this.renderTabs();
+    session.onMapChange = (s) => {
+      if (s === this.activeSession) this.renderMap();
+    };
+    session.onStatsChange = (s) => {
+      if (s === this.activeSession) this.renderStats();
+    };
+    session.onDreamword = (s, word) => {
+      if (this.settings.copyDreamword) {
+        this.copyText(word);
+      }
+      if (s === this.activeSession && this.elements.dreamwordDialog?.open) {
+        this.renderDreamwordList();
+      }
+    };
+    
+    this.sessions.push(session);
+    this.switchSession(session);
+    return session;
+  }
+  
+  /**
+   * Bring a session's tab to the front
+   */
+  switchSession(session) {
+    if (!session) return;
+    
+    this.hideCompletions();
+    
+    const previous = this.activeSession;
+    if (previous && previous !== session) {
+      previous.draft = this.elements.input.value;
+      previous.setActive(false);
+      this.endSearch(previous.terminal);
+    }
+    
+    this.activeSession = session;
+    session.setActive(true);
+    this.elements.input.value = session.draft;
+    this.elements.input.focus();
+    
+    this.renderTabs();
+    this.renderConnection();
+    this.renderMap();
+    this.renderStats();
+    
+    // An open search bar carries on in the new tab
+    if (this.elements.searchBar && !this.elements.searchBar.hidden) {
+      this.runSearch();
     }
-    this.historyIndex = -1;
   }
   
-  // ==================== Connection ====================
+  /**
+   * Disconnect a session and remove its tab; the last tab stays open
+   */
+  closeSession(session) {
+    if (!session || this.sessions.length < 2) return;
+    if (session.connected && !confirm(`Disconnect ${session.getTitle()} and close the tab?`)) return;
+    
+    const index = this.sessions.indexOf(session);
+    this.sessions.splice(index, 1);
+    session.onStatusChange = null;
+    session.destroy();
+    
+    if (session === this.activeSession) {
+      this.activeSession = null;
+      this.switchSession(this.sessions[Math.min(index, this.sessions.length - 1)]);
+    } else {
+      this.renderTabs();
+    }
+  }
   
-  connect() {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      return;
+  /**
+   * Step through the tabs, wrapping around at either end
+   */
+  stepSession(direction) {
+    const count = this.sessions.length;
+    const index = this.sessions.indexOf(this.activeSession);
+    this.switchSession(this.sessions[(index + direction + count) % count]);
+  }
+  
+  renderTabs() {
+    const container = this.elements.sessionTabs;
+    if (!container) return;
+    
+    const bindings = this.getKeyBindings().bindings;
+    
+    container.innerHTML = '';
+    this.sessions.forEach((session, i) => {
+      const tab = document.createElement('div');
+      tab.className = 'session-tab';
+      tab.classList.toggle('active', session === this.activeSession);
+      tab.dataset.session = session.id;
+      const shortcut = bindings.find(b => b.action === 'session' && b.value === String(i + 1));
+      tab.title = shortcut?.chord ? KeyBindings.formatChord(shortcut.chord) : '';
+      
+      const status = document.createElement('span');
+      status.className = `session-status ${session.status}`;
+      
+      const title = document.createElement('span');
+      title.className = 'session-title';
+      title.textContent = session.getTitle();
+      
+      tab.append(status, title);
+      
+      if (session.unread) {
+        const badge = document.createElement('span');
+        badge.className = 'session-unread';
+        badge.textContent = session.unread > 999 ? '999+' : session.unread;
+        tab.appendChild(badge);
+      }
+      
+      if (this.sessions.length > 1) {
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'session-close';
+        close.title = 'Close session';
+        close.textContent = '✕';
+        tab.appendChild(close);
+      }
+      
+      container.appendChild(tab);
+    });
+  }
+  
+  // ==================== Sending ====================
+  
+  sendCommand(cmd = null) {
+    const command = cmd || this.elements.input.value;
+    
+    // Clear input
+    if (this.activeSession.connected) {
+      this.elements.input.value = '';
     }
+    this.elements.input.focus();
     
-    this.terminal.writeSystem(`Connecting to ${this.options.wsUrl}...`);
-    this.setConnectionStatus('connecting');
+    this.activeSession.sendCommand(command);
+  }
+  
+  /**
+   * Play a sound file, or a short beep if no source is given
+   */
+  playSound(src) {
+    if (src) {
+      new Audio(src).play().catch(err => console.warn('Failed to play sound:', err));
+      return;
+    }
     
     try {
-      this.ws = new WebSocket(this.options.wsUrl);
-      this.ws.binaryType = 'arraybuffer';
+      this.audioContext = this.audioContext || new AudioContext();
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      osc.frequency.value = 880;
+      gain.gain.value = 0.1;
+      osc.connect(gain).connect(this.audioContext.destination);
+      osc.start();
+      osc.stop(this.audioContext.currentTime + 0.15);
+    } catch (e) {
+      console.warn('Failed to play beep:', e);
+    }
+  }
+  
+  /**
+   * Raise a desktop notification, falling back to a system message
+   */
+  notify(text, session) {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      new Notification(`MUD3 - ${session.getTitle()}`, { body: text });
+    } else {
+      session.terminal.writeSystem(`🔔 ${text}`);
+    }
+  }
+  
+  // ==================== UI Updates ====================
+  
+  /**
+   * Show the active session's connection and account in the header
+   */
+  renderConnection() {
+    const session = this.activeSession;
+    const status = session.status;
+    const el = this.elements.connectionStatus;
+    const btn = this.elements.connectBtn;
+    
+    if (el) {
+      el.className = 'status-indicator ' + status;
+      el.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    }
+    
+    if (btn) {
+      btn.textContent = status === 'connected' ? 'Disconnect' : 'Connect';
+      btn.className = status === 'connected' ? 'btn-disconnect' : 'btn-connect';
+    }
+    
+    const account = session.mud2.account;
+    const wizard = session.mud2.isWizard();
+    const chip = this.elements.profileChip;
+    
+    if (chip) {
+      chip.hidden = !account.id;
+      chip.textContent = `👤 ${account.id}${wizard ? ' ✦' : ''}`;
+      chip.title = `Account ${account.id}, licence ${account.licence || '—'}, privileges ${account.privs}`;
+      chip.classList.toggle('wizard', wizard);
+    }
+    
+    // Game-specific and wizard/witch-only UI
+    document.body.classList.toggle('in-game', session.mud2.mode === 'GAME');
+    document.body.classList.toggle('wizard', wizard);
+  }
+  
+  // ==================== Dreamwords ====================
+  
+  copyText(text) {
+    navigator.clipboard?.writeText(text)
+      .catch(err => console.warn('Failed to copy to clipboard:', err));
+  }
+  
+  openDreamwordDialog() {
+    if (!this.elements.dreamwordDialog) return;
+    
+    this.elements.dreamwordCopy.checked = this.settings.copyDreamword;
+    this.renderDreamwordList();
+    this.elements.dreamwordDialog.showModal();
+  }
+  
+  renderDreamwordList() {
+    const list = this.elements.dreamwordList;
+    if (!list) return;
+    
+    const history = this.settings.dreamwords[this.activeSession.getCharacterName()] || [];
+    list.innerHTML = '';
+    if (!history.length) {
+      list.textContent = 'No dreamwords seen yet.';
+      return;
+    }
+    
+    for (const { word, time } of history) {
+      const row = document.createElement('div');
+      row.className = 'dreamword-row';
+      
+      const text = document.createElement('span');
+      text.className = 'dreamword-word';
+      text.textContent = word;
       
-      this.ws.onopen = () => this.onOpen();
-      this.ws.onmessage = (e) => this.onMessage(e);
-      this.ws.onclose = (e) => this.onClose(e);
-      this.ws.onerror = (e) => this.onError(e);
-    } catch (err) {
-      this.terminal.writeSystem(`Connection error: ${err.message}`);
-      this.setConnectionStatus('disconnected');
+      const when = document.createElement('span');
+      when.className = 'dreamword-time';
+      when.textContent = new Date(time).toLocaleString();
+      
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.className = 'cmd-btn action-btn';
+      copy.dataset.word = word;
+      copy.title = 'Copy to clipboard';
+      copy.textContent = 'Copy';
+      
+      row.append(text, when, copy);
+      list.appendChild(row);
     }
   }
   
-  disconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
+  // ==================== Aliases ====================
+  
+  openAliasDialog() {
+    if (!this.elements.aliasList) return;
+    
+    // Profile tabs can edit their own aliases as well as the shared ones
+    const profile = this.activeSession.profile;
+    const scope = this.elements.aliasScope;
+    if (scope) {
+      this.elements.aliasScopeField.hidden = !profile;
+      scope.options[1].textContent = profile ? `Aliases for ${profile.name} only` : '';
+      scope.value = 'global';
     }
     
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
+    this.renderAliasList();
+    this.elements.aliasDialog.showModal();
+  }
+  
+  /**
+   * Aliases being edited: the shared ones or the active profile's
+   */
+  getEditedAliases() {
+    const session = this.activeSession;
+    return this.elements.aliasScope?.value === 'profile' && session.profile
+      ? session.aliases
+      : this.aliases;
+  }
+  
+  renderAliasList() {
+    this.elements.aliasList.innerHTML = '';
+    for (const [name, template] of Object.entries(this.getEditedAliases().aliases)) {
+      this.addAliasRow(name, template);
     }
+  }
+  
+  addAliasRow(name, template) {
+    const row = document.createElement('div');
+    row.className = 'alias-row';
+    
+    const nameInput = document.createElement('input');
+    nameInput.className = 'alias-name';
+    nameInput.placeholder = 'kk';
+    nameInput.value = name;
+    nameInput.spellcheck = false;
     
-    this.connected = false;
-    this.setConnectionStatus('disconnected');
+    const templateInput = document.createElement('input');
+    templateInput.className = 'alias-template';
+    templateInput.placeholder = 'kill $1 with sword';
+    templateInput.value = template;
+    templateInput.spellcheck = false;
+    
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'alias-remove';
+    remove.title = 'Delete alias';
+    remove.textContent = '✕';
+    
+    row.append(nameInput, templateInput, remove);
+    this.elements.aliasList.appendChild(row);
+    return row;
   }
   
-  toggleConnection() {
-    if (this.connected) {
-      this.disconnect();
+  /**
+   * Rebuild the alias table from the editor rows and save it
+   */
+  readAliasList() {
+    const manager = this.getEditedAliases();
+    const aliases = manager.aliases;
+    for (const name of Object.keys(aliases)) {
+      delete aliases[name];
+    }
+    
+    this.elements.aliasList.querySelectorAll('.alias-row').forEach(row => {
+      const name = row.querySelector('.alias-name').value.trim();
+      const template = row.querySelector('.alias-template').value;
+      if (name && !/\s/.test(name)) {
+        manager.set(name, template);
+      }
+    });
+    
+    if (manager === this.aliases) {
+      this.saveSettings();
     } else {
-      this.connect();
+      this.profiles.save();
     }
   }
   
-  onOpen() {
-    this.connected = true;
-    this.terminal.writeSystem('Connected to proxy server.');
-    this.setConnectionStatus('connected');
-    this.elements.input.focus();
+  // ==================== Triggers ====================
+  
+  openTriggerDialog() {
+    const list = this.elements.triggerList;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    for (const trigger of this.triggers.triggers) {
+      this.addTriggerRow(trigger);
+    }
+    this.renderTriggerGroups();
+    this.elements.triggerDialog.showModal();
   }
   
-  onMessage(event) {
-    // Check if it's a status message (JSON)
-    if (typeof event.data === 'string') {
-      try {
-        const msg = JSON.parse(event.data);
-        this.handleStatusMessage(msg);
-        return;
-      } catch {
-        // Not JSON, treat as text
-      }
+  addTriggerRow(trigger) {
+    const row = document.createElement('div');
+    row.className = 'trigger-row';
+    
+    const input = (field, type, props) => {
+      const el = document.createElement('input');
+      el.type = type;
+      el.dataset.field = field;
+      el.spellcheck = false;
+      Object.assign(el, props);
+      return el;
+    };
+    
+    const toggle = (field, label, title, checked) => {
+      const wrap = document.createElement('label');
+      wrap.className = 'trigger-toggle';
+      wrap.title = title;
+      wrap.append(input(field, 'checkbox', { checked }), label);
+      return wrap;
+    };
+    
+    const action = document.createElement('select');
+    action.dataset.field = 'action';
+    for (const name of ['send', 'highlight', 'gag', 'sound', 'notify']) {
+      action.add(new Option(name, name));
     }
+    action.value = trigger.action || 'send';
     
-    // Binary data from MUD
-    const data = new Uint8Array(event.data);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'trigger-remove';
+    remove.title = 'Delete trigger';
+    remove.textContent = '✕';
     
-    // Process through MUD2 protocol handler
-    const { cleanData, commands } = this.mud2.parse(data);
+    row.append(
+      input('pattern', 'text', { value: trigger.pattern || '', placeholder: 'Pattern' }),
+      toggle('regex', '.*', 'Regular expression', !!trigger.regex),
+      toggle('ignoreCase', 'Aa', 'Ignore case', trigger.ignoreCase !== false),
+      action,
+      input('value', 'text', { value: trigger.value || '', placeholder: 'Command / colour / text' }),
+      input('group', 'text', { value: trigger.group || '', placeholder: 'Group' }),
+      input('priority', 'number', { value: trigger.priority || 0, title: 'Priority' }),
+      toggle('once', '1×', 'Fire once', !!trigger.once),
+      toggle('enabled', 'On', 'Enabled', trigger.enabled !== false),
+      remove
+    );
+    this.elements.triggerList.appendChild(row);
+    return row;
+  }
+  
+  /**
+   * Rebuild the trigger list from the editor rows and save it
+   */
+  readTriggerList() {
+    const triggers = this.triggers.triggers;
+    triggers.length = 0;
     
-    // Handle MUD2 commands
-    for (const cmd of commands) {
-      this.handleMUD2Command(cmd);
+    this.elements.triggerList.querySelectorAll('.trigger-row').forEach(row => {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`);
+      this.triggers.add({
+        pattern: field('pattern').value,
+        regex: field('regex').checked,
+        ignoreCase: field('ignoreCase').checked,
+        action: field('action').value,
+        value: field('value').value,
+        group: field('group').value.trim(),
+        priority: parseInt(field('priority').value, 10) || 0,
+        once: field('once').checked,
+        enabled: field('enabled').checked
+      });
+    });
+    
+    // Notifications need permission before the first one fires
+    if (triggers.some(t => t.action === 'notify') &&
+        typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission();
     }
     
-    // Parse ANSI and display
-    const segments = this.ansiParser.parse(cleanData);
-    this.terminal.writeSegments(segments);
+    this.renderTriggerGroups();
+    this.saveSettings();
+  }
+  
+  renderTriggerGroups() {
+    const container = this.elements.triggerGroups;
+    if (!container) return;
     
-    // Try to parse stats from visible text
-    const text = this.ansiParser.bytesToString(cleanData);
-    this.mud2.parseVisibleStats(text);
+    container.innerHTML = '';
+    for (const group of this.triggers.getGroups()) {
+      const label = document.createElement('label');
+      label.className = 'trigger-group';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = group;
+      checkbox.checked = this.triggers.isGroupEnabled(group);
+      
+      label.append(checkbox, group);
+      container.appendChild(label);
+    }
   }
   
-  handleStatusMessage(msg) {
-    switch (msg.status) {
-      case 'connected':
-        this.terminal.writeSystem(`Connected to MUD server: ${msg.host}`);
-        // Send terminal type and window size
-        this.sendRaw(MUD2Protocol.getTerminalType('ansi'));
-        this.sendRaw(MUD2Protocol.getNAWS(80, 24));
-        break;
-        
-      case 'disconnected':
-        this.terminal.writeSystem('Disconnected from MUD server.');
-        this.connected = false;
-        this.setConnectionStatus('disconnected');
-        this.scheduleReconnect();
-        break;
-        
-      case 'error':
-        this.terminal.writeSystem(`Error: ${msg.message}`);
-        break;
+  // ==================== Key Bindings ====================
+  
+  /**
+   * Bindings for the active tab: its profile's, or the shared ones
+   */
+  getKeyBindings() {
+    return new KeyBindings(this.activeSession.settings.keybindings);
+  }
+  
+  /**
+   * Run the action bound to a key chord, wherever the focus is
+   * Dialogs and other form fields keep their keys.
+   */
+  handleKeyBinding(e) {
+    if (e.isComposing || e.target.closest?.('dialog')) return;
+    if (e.target !== this.elements.input && e.target.matches?.('input, select, textarea')) return;
+    
+    const chord = KeyBindings.chordFromEvent(e);
+    const binding = chord && this.getKeyBindings().find(chord);
+    if (!binding) return;
+    
+    if (this.runKeyAction(binding.action, binding.value) !== false) {
+      e.preventDefault();
     }
   }
   
-  handleMUD2Command(cmd) {
-    switch (cmd.type) {
-      case 'clear':
-        this.terminal.clear();
+  /**
+   * Run a bound action
+   * @returns {boolean|undefined} false if there was nothing to do and
+   *   the key should keep its usual meaning
+   */
+  runKeyAction(action, value = '') {
+    const session = this.activeSession;
+    
+    switch (action) {
+      case 'send':
+        // Like a command button: the typed line is left alone
+        session.sendCommand(value);
+        this.elements.input.focus();
         break;
-      case 'fesStart':
-        // Next line will be FES data
+      case 'session':
+        this.switchSession(this.sessions[Number(value) - 1]);
         break;
-      case 'dreamword':
-        // Dreamword incoming
+      case 'prev-session':
+        this.stepSession(-1);
+        break;
+      case 'next-session':
+        this.stepSession(1);
+        break;
+      case 'new-session':
+        this.addSession();
+        break;
+      case 'close-session':
+        this.closeSession(session);
+        break;
+      case 'connect':
+        session.toggleConnection();
+        break;
+      case 'history-prev':
+        // Index 0 is the newest line
+        this.showHistory(session.navigateHistory(1));
+        break;
+      case 'history-next':
+        this.showHistory(session.navigateHistory(-1));
+        break;
+      case 'clear-input':
+        // An open split scrollback is closed first
+        if (session.terminal.closeSplit()) break;
+        this.elements.input.value = '';
+        session.historyIndex = -1;
+        break;
+      case 'search':
+        this.openSearch();
+        break;
+      case 'close-split':
+        // End still moves to the end of the input while the view isn't split
+        return session.terminal.closeSplit();
+      case 'toggle-map':
+        this.settings.showMap = !this.settings.showMap;
+        this.applyMapVisibility(this.settings.showMap);
+        this.saveSettings();
+        break;
+      case 'toggle-stats':
+        this.settings.showStats = !this.settings.showStats;
+        this.applyStatsVisibility(this.settings.showStats);
+        this.saveSettings();
+        break;
+      case 'toggle-buttons':
+        this.settings.showButtons = !this.settings.showButtons;
+        this.applyButtonVisibility(this.settings.showButtons);
+        this.saveSettings();
         break;
     }
   }
   
-  onClose(event) {
-    this.connected = false;
-    this.terminal.writeSystem('Connection closed.');
-    this.setConnectionStatus('disconnected');
+  openKeyDialog() {
+    if (!this.elements.keyList) return;
     
-    if (this.options.autoReconnect && !event.wasClean) {
-      this.scheduleReconnect();
+    // Profile tabs can have bindings of their own, like aliases
+    const profile = this.activeSession.profile;
+    const scope = this.elements.keyScope;
+    if (scope) {
+      this.elements.keyScopeField.hidden = !profile;
+      scope.options[1].textContent = profile ? `Keys for ${profile.name} only` : '';
+      scope.value = profile?.settings.keybindings ? 'profile' : 'global';
     }
+    
+    this.renderKeyList();
+    this.elements.keyDialog.showModal();
   }
   
-  onError(event) {
-    this.terminal.writeSystem('Connection error occurred.');
-    console.error('WebSocket error:', event);
+  /**
+   * Whether the editor shows the active profile's bindings
+   */
+  isEditingProfileKeys() {
+    return this.elements.keyScope?.value === 'profile' && !!this.activeSession.profile;
   }
   
-  scheduleReconnect() {
-    if (this.reconnectTimer) return;
+  renderKeyList() {
+    const profileScope = this.isEditingProfileKeys();
+    const profile = this.activeSession.profile;
+    
+    // A profile without bindings of its own starts from the shared ones
+    const bindings = profileScope && profile.settings.keybindings || this.settings.keybindings;
     
-    this.terminal.writeSystem(`Reconnecting in ${this.options.reconnectDelay / 1000} seconds...`);
-    this.reconnectTimer = setTimeout(() => {
-      this.reconnectTimer = null;
-      this.connect();
-    }, this.options.reconnectDelay);
+    this.elements.keyList.innerHTML = '';
+    for (const binding of bindings) {
+      this.addKeyRow(binding);
+    }
+    this.elements.keyReset.textContent = profileScope ? 'Use Shared Keys' : 'Reset to Defaults';
+    this.renderKeyConflicts();
   }
   
-  // ==================== Sending ====================
+  addKeyRow(binding) {
+    const row = document.createElement('div');
+    row.className = 'key-row';
+    row.dataset.chord = binding.chord;
+    
+    const chord = document.createElement('button');
+    chord.type = 'button';
+    chord.className = 'key-chord';
+    chord.title = 'Click, then press the key';
+    chord.textContent = binding.chord ? KeyBindings.formatChord(binding.chord) : '—';
+    
+    const action = document.createElement('select');
+    action.className = 'key-action';
+    for (const [name, label] of Object.entries(KeyBindings.actions())) {
+      action.add(new Option(label, name));
+    }
+    action.value = binding.action;
+    
+    const value = document.createElement('input');
+    value.className = 'key-value';
+    value.placeholder = 'Command / tab number';
+    value.value = binding.value || '';
+    value.spellcheck = false;
+    
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'key-remove';
+    remove.title = 'Delete binding';
+    remove.textContent = '✕';
+    
+    row.append(chord, action, value, remove);
+    this.elements.keyList.appendChild(row);
+    return row;
+  }
   
-  sendCommand(cmd = null) {
-    const command = cmd || this.elements.input.value;
+  /**
+   * Rebuild the bindings from the editor rows and save them
+   */
+  readKeyList() {
+    const bindings = [...this.elements.keyList.querySelectorAll('.key-row')].map(row => ({
+      chord: row.dataset.chord,
+      action: row.querySelector('.key-action').value,
+      value: row.querySelector('.key-value').value
+    }));
     
-    if (!this.connected) {
-      this.terminal.writeSystem('Not connected. Press Enter to connect.');
-      return;
+    if (this.isEditingProfileKeys()) {
+      this.activeSession.profile.settings.keybindings = bindings;
+      this.profiles.save();
+    } else {
+      this.settings.keybindings = bindings;
+      this.saveSettings();
+    }
+    this.renderKeyConflicts();
+    this.renderTabs();
+  }
+  
+  /**
+   * Back to the defaults, or for a profile, back to the shared bindings
+   */
+  resetKeyBindings() {
+    if (this.isEditingProfileKeys()) {
+      delete this.activeSession.profile.settings.keybindings;
+      this.profiles.save();
+    } else {
+      if (!confirm('Replace all key bindings with the defaults?')) return;
+      this.settings.keybindings = KeyBindings.defaults();
+      this.saveSettings();
+    }
+    this.renderKeyList();
+    this.renderTabs();
+  }
+  
+  /**
+   * Mark chords bound more than once
+   */
+  renderKeyConflicts(message = '') {
+    const rows = [...this.elements.keyList.querySelectorAll('.key-row')];
+    const conflicts = new KeyBindings(rows.map(row => ({ chord: row.dataset.chord }))).getConflicts();
+    
+    for (const row of rows) {
+      row.classList.toggle('conflict', conflicts.includes(row.dataset.chord));
+    }
+    
+    const hint = this.elements.keyConflicts;
+    if (conflicts.length) {
+      message = `Bound more than once: ${conflicts.map(KeyBindings.formatChord).join(', ')}. Only the first binding is used.`;
+    }
+    hint.textContent = message;
+    hint.hidden = !message;
+  }
+  
+  /**
+   * Wait for the next key chord to bind to a row
+   */
+  captureChord(row) {
+    if (this.capturingRow) {
+      this.capturingRow.classList.remove('capturing');
     }
     
-    // Add to history
-    this.addToHistory(command);
+    this.capturingRow = row;
+    row.classList.add('capturing');
+    row.querySelector('.key-chord').textContent = 'Press a key…';
+    row.querySelector('.key-chord').focus();
+  }
+  
+  handleChordCapture(e) {
+    const row = this.capturingRow;
+    if (!row) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const button = row.querySelector('.key-chord');
+    const chord = e.key === 'Escape' ? '' : KeyBindings.chordFromEvent(e);
+    if (chord === null) return;
+    
+    this.capturingRow = null;
+    row.classList.remove('capturing');
     
-    // Local echo (optional)
-    if (this.settings.localEcho) {
-      this.terminal.write(command + '\n', 'local-echo');
+    if (chord && this.getKeyBindings().isReserved(chord)) {
+      button.textContent = row.dataset.chord ? KeyBindings.formatChord(row.dataset.chord) : '—';
+      this.renderKeyConflicts(`${KeyBindings.formatChord(chord)} is kept for sending the command line.`);
+      return;
     }
     
-    // Send to server with CRLF
-    this.send(command + '\r\n');
+    // Escape keeps the chord the row had, or drops a new row
+    if (chord) {
+      row.dataset.chord = chord;
+    } else if (!row.dataset.chord) {
+      row.remove();
+      this.readKeyList();
+      return;
+    }
+    button.textContent = KeyBindings.formatChord(row.dataset.chord);
     
-    // Clear input
-    this.elements.input.value = '';
-    this.elements.input.focus();
+    // Off the button, so a captured Space does not click it again
+    row.querySelector('.key-action').focus();
+    this.readKeyList();
   }
   
-  send(data) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(data);
+  // ==================== Map ====================
+  
+  renderMap() {
+    if (!this.mapView || !this.settings.showMap || !this.activeSession) return;
+    
+    const mapper = this.activeSession.mapper;
+    this.mapView.render(mapper);
+    if (this.elements.mapRoom) {
+      this.elements.mapRoom.textContent = mapper.getCurrentRoom()?.name || '—';
     }
   }
   
-  sendRaw(bytes) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(bytes);
+  exportMap() {
+    const { mapper, mapName } = this.activeSession;
+    const json = JSON.stringify(mapper.toJSON(), null, 2);
+    this.downloadFile(`mud3-map-${mapName}.json`, json, 'application/json');
+  }
+  
+  importMap(file) {
+    const session = this.activeSession;
+    file.text()
+      .then(text => {
+        session.mapper.importJSON(JSON.parse(text));
+        session.terminal.writeSystem(`Map imported from ${file.name}.`);
+      })
+      .catch(err => session.terminal.writeSystem(`Map import failed: ${err.message}`));
+  }
+  
+  /**
+   * Offer content (string or bytes) as a file download
+   */
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  
+  applyMapVisibility(show) {
+    if (this.elements.mapPanel) {
+      this.elements.mapPanel.classList.toggle('hidden', !show);
     }
+    this.renderMap();
   }
   
-  // ==================== UI Updates ====================
+  // ==================== Stat History ====================
   
-  setConnectionStatus(status) {
-    const el = this.elements.connectionStatus;
-    const btn = this.elements.connectBtn;
+  renderStats() {
+    if (!this.settings.showStats || !this.activeSession) return;
     
-    if (el) {
-      el.className = 'status-indicator ' + status;
-      el.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    const statHistory = this.activeSession.statHistory;
+    this.statGraph?.render(statHistory);
+    
+    const summary = statHistory.getSummary();
+    const element = this.elements.statsSummary;
+    if (!element) return;
+    
+    if (!summary) {
+      element.textContent = 'No session recorded yet.';
+      return;
     }
     
-    if (btn) {
-      btn.textContent = status === 'connected' ? 'Disconnect' : 'Connect';
-      btn.className = status === 'connected' ? 'btn-disconnect' : 'btn-connect';
+    const minutes = Math.floor(summary.played / 60000);
+    const played = `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    const items = [
+      ['Character', summary.character],
+      ['Started', new Date(summary.started).toLocaleString()],
+      ['Played', played],
+      ['Points', summary.points.toLocaleString()],
+      ['Per hour', summary.pointsPerHour === null ? '—' : summary.pointsPerHour.toLocaleString()],
+      ['Deaths', summary.deaths]
+    ];
+    
+    element.innerHTML = '';
+    for (const [label, value] of items) {
+      const item = document.createElement('div');
+      item.className = 'stats-summary-item';
+      
+      const labelEl = document.createElement('span');
+      labelEl.className = 'stat-label';
+      labelEl.textContent = label;
+      
+      const valueEl = document.createElement('span');
+      valueEl.className = 'stat-value';
+      valueEl.textContent = value;
+      
+      item.append(labelEl, valueEl);
+      element.appendChild(item);
     }
   }
   
-  updateStatsDisplay(stats) {
-    const { statSta, statDex, statStr, statMag, statPts, statWeather } = this.elements;
+  /**
+   * Show the most recent session in the first tab (e.g. from before a reload)
+   */
+  loadStatHistory() {
+    const statHistory = this.sessions[0].statHistory;
+    this.storage.getAll('statSessions')
+      .then(sessions => {
+        const latest = sessions.sort((a, b) => b.started - a.started)[0];
+        if (latest && !statHistory.session) {
+          statHistory.load(latest);
+        }
+      })
+      .catch(err => console.warn('Failed to load stat history:', err));
+  }
+  
+  applyStatsVisibility(show) {
+    if (this.elements.statsPanel) {
+      this.elements.statsPanel.classList.toggle('hidden', !show);
+    }
+    this.renderStats();
+  }
+  
+  // ==================== Profiles ====================
+  
+  openProfileDialog() {
+    if (!this.elements.profileDialog) return;
     
-    if (statSta) {
-      statSta.textContent = `${stats.stamina}/${stats.maxStamina}`;
-      statSta.className = this.getStatClass(stats.stamina, stats.maxStamina);
+    this.elements.profileForm.hidden = true;
+    this.renderProfileList();
+    this.elements.profileDialog.showModal();
+  }
+  
+  renderProfileList() {
+    const list = this.elements.profileList;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const profiles = this.profiles.list();
+    if (!profiles.length) {
+      list.textContent = 'No profiles yet.';
+      return;
     }
-    if (statDex) {
-      statDex.textContent = `${stats.dexterity}/${stats.maxDexterity}`;
+    
+    for (const profile of profiles) {
+      const row = document.createElement('div');
+      row.className = 'profile-row';
+      row.dataset.id = profile.id;
+      
+      const info = document.createElement('span');
+      info.className = 'profile-info';
+      const details = [profile.account, profile.target].filter(Boolean).join(' @ ');
+      info.textContent = details ? `${profile.name} (${details})` : profile.name;
+      if (profile.autoLogin) {
+        info.textContent += ' 🔑';
+      }
+      
+      row.appendChild(info);
+      for (const [action, label, title] of [
+        ['connect', 'Connect', 'Connect with this profile'],
+        ['edit', 'Edit', 'Edit profile'],
+        ['delete', '✕', 'Delete profile']
+      ]) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = action === 'delete' ? 'profile-delete' : 'cmd-btn action-btn';
+        button.dataset.action = action;
+        button.title = title;
+        button.textContent = label;
+        row.appendChild(button);
+      }
+      
+      list.appendChild(row);
     }
-    if (statStr) {
-      statStr.textContent = `${stats.strength}/${stats.maxStrength}`;
+  }
+  
+  /**
+   * Fill the profile form (null for a new profile)
+   */
+  editProfile(profile) {
+    const el = this.elements;
+    const setting = (value) => value === undefined ? '' : value ? 'on' : 'off';
+    
+    this.editingProfile = profile;
+    el.profileName.value = profile?.name || '';
+    el.profileWsUrl.value = profile?.wsUrl || '';
+    el.profileTarget.value = profile?.target || '';
+    el.profileAccount.value = profile?.account || '';
+    el.profileLocalEcho.value = setting(profile?.settings.localEcho);
+    el.profileLogging.value = setting(profile?.settings.logging);
+    el.profileScreenMode.value = setting(profile?.settings.screenMode);
+    el.profileAutoLogin.checked = !!profile?.autoLogin;
+    el.profilePassword.value = '';
+    el.profilePassword.placeholder = profile?.password ? '(unchanged)' : '';
+    el.profileForm.hidden = false;
+    el.profileName.focus();
+  }
+  
+  async saveProfileForm() {
+    const el = this.elements;
+    const existing = this.editingProfile;
+    
+    const settings = { ...existing?.settings };
+    const selects = [
+      ['localEcho', el.profileLocalEcho],
+      ['logging', el.profileLogging],
+      ['screenMode', el.profileScreenMode]
+    ];
+    for (const [key, select] of selects) {
+      if (select.value) {
+        settings[key] = select.value === 'on';
+      } else {
+        delete settings[key];
+      }
     }
-    if (statMag) {
-      statMag.textContent = stats.magic;
+    
+    // Only keep a password while auto-login is on
+    const autoLogin = el.profileAutoLogin.checked;
+    const typed = autoLogin ? el.profilePassword.value : '';
+    let password = autoLogin ? existing?.password || null : null;
+    if (typed) {
+      const passphrase = this.profiles.passphrase ||
+        await this.askPassphrase('Choose a passphrase to encrypt the password with. It is not stored; you will be asked for it when connecting.');
+      if (!passphrase) return;
+      
+      password = await this.profiles.encryptPassword(typed, passphrase);
+      this.profiles.passphrase = passphrase;
     }
-    if (statPts) {
-      statPts.textContent = stats.score.toLocaleString();
+    
+    const profile = this.profiles.put({
+      id: existing?.id,
+      name: el.profileName.value.trim(),
+      wsUrl: el.profileWsUrl.value.trim(),
+      target: el.profileTarget.value.trim(),
+      account: el.profileAccount.value.trim(),
+      autoLogin,
+      password,
+      settings,
+      aliases: existing?.aliases
+    });
+    
+    el.profilePassword.value = '';
+    el.profileForm.hidden = true;
+    this.renderProfileList();
+    
+    // Tabs using the profile pick up the changes on their next connection
+    for (const session of this.sessions) {
+      if (session.profile === profile && !session.connected) {
+        session.setProfile(profile, typed || session.autoLogin?.password);
+      }
     }
-    if (statWeather) {
-      statWeather.textContent = stats.weather || '—';
-      statWeather.className = 'weather-' + (stats.weather || 'unknown');
+    this.renderTabs();
+  }
+  
+  async handleProfileAction(action, id) {
+    const profile = this.profiles.get(id);
+    if (!profile) return;
+    
+    switch (action) {
+      case 'connect':
+        this.elements.profileDialog.close();
+        await this.connectProfile(profile);
+        break;
+      case 'edit':
+        this.editProfile(profile);
+        break;
+      case 'delete':
+        if (confirm(`Delete the profile ${profile.name}?`)) {
+          this.profiles.remove(id);
+          this.renderProfileList();
+        }
+        break;
     }
   }
   
-  getStatClass(current, max) {
-    const ratio = current / max;
-    if (ratio <= 0.25) return 'stat-critical';
-    if (ratio <= 0.5) return 'stat-low';
-    if (ratio <= 0.75) return 'stat-medium';
-    return 'stat-good';
+  /**
+   * Connect with a profile, in the current tab if it is free
+   */
+  async connectProfile(profile) {
+    const password = profile.autoLogin ? await this.unlockPassword(profile) : '';
+    
+    let session = this.activeSession;
+    if (session.connected || session.status !== 'disconnected') {
+      session = this.addSession();
+    }
+    
+    session.setProfile(profile, password);
+    if (profile.autoLogin && profile.password && !password) {
+      session.terminal.writeSystem('Password not unlocked - only the account will be sent.');
+    }
+    session.connect();
   }
   
-  onModeChange(mode) {
-    this.terminal.writeSystem(`[Mode: ${mode}]`);
+  /**
+   * Decrypt a profile's password, asking for the passphrase if needed
+   * @returns {Promise<string>} The password, or '' if it stays locked
+   */
+  async unlockPassword(profile) {
+    if (!profile.password) return '';
     
-    // Show/hide game-specific UI based on mode
-    if (mode === 'GAME') {
-      document.body.classList.add('in-game');
-    } else {
-      document.body.classList.remove('in-game');
+    let hint = `Enter the passphrase to log in as ${profile.name}.`;
+    let passphrase = this.profiles.passphrase;
+    
+    for (;;) {
+      passphrase = passphrase || await this.askPassphrase(hint);
+      if (!passphrase) return '';
+      
+      try {
+        const password = await this.profiles.decryptPassword(profile.password, passphrase);
+        this.profiles.passphrase = passphrase;
+        return password;
+      } catch (err) {
+        hint = `${err.message}. Try again for ${profile.name}.`;
+        passphrase = null;
+      }
+    }
+  }
+  
+  /**
+   * Ask for a passphrase
+   * @returns {Promise<string|null>} null if cancelled
+   */
+  askPassphrase(hint) {
+    const { passphraseDialog: dialog, passphraseHint, passphraseInput } = this.elements;
+    if (!dialog) return Promise.resolve(null);
+    
+    passphraseHint.textContent = hint;
+    passphraseInput.value = '';
+    dialog.returnValue = '';
+    dialog.showModal();
+    passphraseInput.focus();
+    
+    return new Promise(resolve => {
+      dialog.addEventListener('close', () => {
+        const value = passphraseInput.value;
+        passphraseInput.value = '';
+        resolve(dialog.returnValue === 'ok' && value ? value : null);
+      }, { once: true });
+    });
+  }
+  
+  // ==================== Session Logs ====================
+  
+  setLogging(enabled) {
+    this.settings.logging = enabled;
+    this.saveSettings();
+    
+    for (const session of this.sessions) {
+      if (!session.settings.logging) {
+        session.logger.stop();
+      } else if (session.connected && !session.logger.active) {
+        session.logger.start(session.getCharacterName());
+      }
+    }
+    this.renderLogList();
+  }
+  
+  openLogDialog() {
+    if (!this.elements.logDialog) return;
+    
+    this.elements.logEnabled.checked = this.settings.logging;
+    this.elements.logMaxSize.value = this.settings.logMaxMB;
+    this.renderLogList();
+    this.elements.logDialog.showModal();
+  }
+  
+  renderLogList() {
+    const list = this.elements.logList;
+    if (!list) return;
+    
+    const loggers = this.sessions.map(session => session.logger);
+    loggers.forEach(logger => logger.flush());
+    const recording = new Set(loggers.map(logger => logger.session?.id));
+    
+    Promise.all(loggers.map(logger => logger.writing))
+      .then(() => loggers[0].listSessions())
+      .then(sessions => {
+        list.innerHTML = '';
+        if (!sessions.length) {
+          list.textContent = 'No logs recorded yet.';
+          return;
+        }
+        
+        for (const session of sessions) {
+          const row = document.createElement('div');
+          row.className = 'log-row';
+          row.dataset.id = session.id;
+          
+          const info = document.createElement('span');
+          info.className = 'log-info';
+          const marker = recording.has(session.id) ? ' ● ' : ' ';
+          info.textContent = `${session.character}${marker}${new Date(session.started).toLocaleString()}`;
+          
+          const size = document.createElement('span');
+          size.className = 'log-size';
+          size.textContent = `${Math.ceil(session.bytes / 1024)} KB`;
+          
+          row.append(info, size);
+          for (const [action, label, title] of [
+            ['txt', 'TXT', 'Export as plain text'],
+            ['ansi', 'ANSI', 'Export raw ANSI (re-playable)'],
+            ['html', 'HTML', 'Export as coloured HTML'],
+            ['delete', '✕', 'Delete log']
+          ]) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = action === 'delete' ? 'log-delete' : 'cmd-btn action-btn';
+            button.dataset.action = action;
+            button.title = title;
+            button.textContent = label;
+            row.appendChild(button);
+          }
+          
+          list.appendChild(row);
+        }
+      })
+      .catch(err => {
+        list.textContent = `Logs unavailable: ${err.message}`;
+      });
+  }
+  
+  async handleLogAction(action, id) {
+    const logger = this.activeSession.logger;
+    
+    if (action === 'delete') {
+      if (confirm('Delete this log?')) {
+        await logger.deleteSession(id);
+        this.renderLogList();
+      }
+      return;
+    }
+    
+    const sessions = await logger.listSessions();
+    const session = sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    const data = await logger.getSessionData(id);
+    const stamp = new Date(session.started).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    const base = `mud3-${session.character}-${stamp}`;
+    
+    switch (action) {
+      case 'txt':
+        this.downloadFile(`${base}.txt`, logger.toPlainText(data), 'text/plain');
+        break;
+      case 'ansi':
+        this.downloadFile(`${base}.ans`, logger.toANSI(data), 'application/octet-stream');
+        break;
+      case 'html':
+        this.downloadFile(`${base}.html`, logger.toHTML(data, base), 'text/html');
+        break;
     }
   }
   
@@ -0,0 +1,98 @@
+/**
+ * Auto-Login for MUD3
+ * Answers the account and password prompts once per connection, and only
+ * while the login can still be going on
+ */
+
+class AutoLogin {
+  /**
+   * @param {Object} options
+   * @param {string} options.account - Account id to send
+   * @param {string} options.password - Decrypted password (kept in memory only)
+   * @param {RegExp} options.accountPrompt
+   * @param {RegExp} options.passwordPrompt
+   * @param {number} options.maxLines - Lines after connecting before prompts are ignored
+   * @param {number} options.timeout - ms after connecting before prompts are ignored
+   */
+  constructor(options = {}) {
+    this.options = {
+      accountPrompt: options.accountPrompt || /account(?: id)?\s*[:>]\s*$/i,
+      passwordPrompt: options.passwordPrompt || /password\s*[:>]\s*$/i,
+      maxLines: options.maxLines || 50,
+      timeout: options.timeout || 60000,
+      ...options
+    };
+    
+    this.account = options.account || '';
+    this.password = options.password || '';
+    
+    // Prompts already answered on this connection
+    this.answered = new Set();
+    
+    // Prompts are only looked for from reset() until the game starts, or
+    // for maxLines lines or timeout ms, so game text can't ask for the password
+    this.armed = false;
+    this.armedAt = 0;
+    this.lines = 0;
+    
+    // Event callbacks
+    this.onSend = null; // (text, field)
+  }
+  
+  /**
+   * Forget answered prompts and look for them again (call on each new connection)
+   */
+  reset() {
+    this.answered.clear();
+    this.armed = true;
+    this.armedAt = Date.now();
+    this.lines = 0;
+  }
+  
+  /**
+   * Stop looking for prompts until the next reset()
+   */
+  disarm() {
+    this.armed = false;
+  }
+  
+  /**
+   * Check a line (or unterminated prompt) and answer it if it asks for login details
+   * Each prompt is answered once, so a wrong password cannot loop.
+   * @param {string} text
+   * @param {boolean} partial - The line is not finished yet (it is not counted)
+   * @returns {string|null} The field answered: 'account' or 'password'
+   */
+  check(text, partial = false) {
+    if (!this.armed) return null;
+    if (Date.now() - this.armedAt > this.options.timeout) {
+      this.disarm();
+      return null;
+    }
+    
+    const fields = [
+      ['account', this.account, this.options.accountPrompt],
+      ['password', this.password, this.options.passwordPrompt]
+    ];
+    
+    for (const [field, value, prompt] of fields) {
+      if (!value || this.answered.has(field) || !prompt.test(text)) continue;
+      
+      this.answered.add(field);
+      if (this.onSend) {
+        this.onSend(value, field);
+      }
+      return field;
+    }
+    
+    if (!partial && ++this.lines >= this.options.maxLines) {
+      this.disarm();
+    }
+    return null;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutoLogin;
+}
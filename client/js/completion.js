@@ -0,0 +1,215 @@
+/**
+ * Tab Completion for MUD3
+ * Completes the word before the cursor from the game's vocabulary:
+ * players, objects and inventory seen in the output, command history,
+ * aliases and the common MUD2 verbs
+ */
+
+class TabCompleter {
+  constructor() {
+    // Common MUD2 verbs, offered for the first word of a command
+    this.verbs = [
+      'attack', 'bye', 'close', 'drink', 'drop', 'eat', 'empty', 'examine',
+      'exits', 'fill', 'flee', 'follow', 'get', 'give', 'help', 'hide',
+      'inventory', 'invis', 'kill', 'light', 'lock', 'look', 'lose', 'open',
+      'points', 'pull', 'push', 'put', 'quit', 'read', 'remove', 'retaliate',
+      'say', 'score', 'shout', 'sleep', 'snoop', 'steal', 'summon', 'take',
+      'tell', 'throw', 'unlock', 'users', 'value', 'vis', 'wake', 'wear',
+      'weather', 'where', 'who', 'wield'
+    ];
+    
+    // Lines naming players, objects and what we carry
+    this.patterns = {
+      player: /^([A-Z][a-z]+) the [\w' -]+? is (?:here|playing)\b/,
+      object: /^(?:there (?:is|are) (.+?)|(.+?) (?:is|are|lies|lie)) here\.?$/i,
+      carrying: /^you are carrying:?\s*(.*?)\.?$/i
+    };
+    
+    // Words that never name anything
+    this.stopWords = new Set(['the', 'and', 'some', 'of', 'with', 'pair', 'few']);
+    
+    // Words seen in the output, oldest first
+    this.words = new Map();
+    this.maxWords = 500;
+    this.maxCandidates = 30;
+    
+    // Inventory listed one item per line after "You are carrying:"
+    this.listingInventory = false;
+    
+    // The completion being cycled through with repeated Tabs
+    this.cycle = null;
+  }
+  
+  /**
+   * Note a completed line of output
+   */
+  onLine(line) {
+    // The prompt can start the line the game answers on
+    const prompted = line.trimStart().startsWith('*');
+    const text = line.trim().replace(/^\*\s*/, '');
+    
+    if (this.listingInventory) {
+      if (text && !prompted) {
+        this.addPhrase(text);
+        return;
+      }
+      this.listingInventory = false;
+    }
+    if (!text) return;
+    
+    let match = text.match(this.patterns.player);
+    if (match) {
+      this.addWord(match[1]);
+      return;
+    }
+    
+    match = text.match(this.patterns.carrying);
+    if (match) {
+      if (match[1]) {
+        this.addPhrase(match[1]);
+      } else {
+        this.listingInventory = true;
+      }
+      return;
+    }
+    
+    match = text.match(this.patterns.object);
+    if (match) {
+      this.addPhrase(match[1] || match[2]);
+    }
+  }
+  
+  /**
+   * Add the words of a list like "a rusty sword, 3 coins and a lamp"
+   */
+  addPhrase(phrase) {
+    for (const word of phrase.toLowerCase().match(/[a-z][a-z'-]+/g) || []) {
+      if (word.length > 2 && !this.stopWords.has(word)) {
+        this.addWord(word);
+      }
+    }
+  }
+  
+  addWord(word) {
+    // Re-inserting moves the word to the most recent end
+    const key = word.toLowerCase();
+    this.words.delete(key);
+    this.words.set(key, word);
+    
+    if (this.words.size > this.maxWords) {
+      this.words.delete(this.words.keys().next().value);
+    }
+  }
+  
+  /**
+   * Complete the word before the cursor, or step through the candidates
+   * when called again on the line the last completion produced
+   * @param {string} value - The input line
+   * @param {number} cursor - Cursor position in the line
+   * @param {Object} context
+   * @param {string[]} context.history - Command history, oldest first
+   * @param {string[]} context.aliases - Alias names
+   * @param {number} direction - 1 for the next candidate, -1 for the previous
+   * @returns {Object|null} { value, cursor, candidates, index }, or null if nothing matches
+   */
+  complete(value, cursor, context = {}, direction = 1) {
+    let cycle = this.cycle;
+    
+    if (cycle && cycle.value === value && cycle.cursor === cursor) {
+      const count = cycle.candidates.length;
+      cycle.index = (cycle.index + direction + count) % count;
+    } else {
+      const start = value.slice(0, cursor).search(/\S*$/);
+      const prefix = value.slice(start, cursor);
+      if (!prefix) {
+        this.cycle = null;
+        return null;
+      }
+      
+      const firstWord = !value.slice(0, start).trim();
+      const candidates = this.getCandidates(prefix, firstWord, context);
+      if (!candidates.length) {
+        this.cycle = null;
+        return null;
+      }
+      
+      cycle = this.cycle = {
+        before: value.slice(0, start),
+        after: value.slice(cursor),
+        candidates,
+        index: direction < 0 ? candidates.length - 1 : 0
+      };
+    }
+    
+    return this.current();
+  }
+  
+  /**
+   * Jump to a candidate of the current cycle, e.g. one clicked in a list
+   */
+  choose(index) {
+    if (!this.cycle || !this.cycle.candidates[index]) return null;
+    
+    this.cycle.index = index;
+    return this.current();
+  }
+  
+  current() {
+    const cycle = this.cycle;
+    const word = cycle.candidates[cycle.index];
+    cycle.value = cycle.before + word + cycle.after;
+    cycle.cursor = cycle.before.length + word.length;
+    
+    return {
+      value: cycle.value,
+      cursor: cycle.cursor,
+      candidates: cycle.candidates,
+      index: cycle.index
+    };
+  }
+  
+  /**
+   * Words longer than the prefix that start with it, best first
+   * The first word of a command prefers aliases, verbs and commands
+   * used before; later words prefer what was last seen in the game.
+   */
+  getCandidates(prefix, firstWord, { history = [], aliases = [] }) {
+    const recent = [...this.words.values()].reverse();
+    
+    const historyWords = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      const words = history[i].trim().split(/\s+/);
+      historyWords.push(...(firstWord ? words.slice(0, 1) : words.slice(1)));
+    }
+    
+    const sources = firstWord
+      ? [aliases, historyWords, this.verbs, recent]
+      : [recent, historyWords, this.verbs];
+      
+    const lower = prefix.toLowerCase();
+    const seen = new Set();
+    const candidates = [];
+    
+    for (const word of sources.flat()) {
+      const key = word.toLowerCase();
+      if (key.length <= lower.length || !key.startsWith(lower) || seen.has(key)) continue;
+      
+      seen.add(key);
+      candidates.push(word);
+      if (candidates.length >= this.maxCandidates) break;
+    }
+    return candidates;
+  }
+  
+  /**
+   * Forget the current cycle, e.g. once the line is edited
+   */
+  reset() {
+    this.cycle = null;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabCompleter;
+}
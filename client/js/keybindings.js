@@ -0,0 +1,135 @@
+/**
+ * Key Bindings for MUD3
+ * Maps key chords (e.g. "Numpad8", "Alt+Digit1", "Ctrl+F5") to commands
+ * or client actions
+ */
+
+class KeyBindings {
+  /**
+   * @param {Array} bindings - [{ chord, action, value }], action 'send' sends value
+   */
+  constructor(bindings = []) {
+    this.bindings = bindings;
+    
+    // Keys that keep their built-in meaning
+    this.reserved = ['Enter', 'Shift+Enter', 'Tab', 'Shift+Tab'];
+  }
+  
+  /**
+   * Actions a chord can run, with their labels for the editor
+   */
+  static actions() {
+    return {
+      'send': 'Send command',
+      'session': 'Switch to tab',
+      'prev-session': 'Previous tab',
+      'next-session': 'Next tab',
+      'new-session': 'New tab',
+      'close-session': 'Close tab',
+      'connect': 'Connect / disconnect',
+      'history-prev': 'History back',
+      'history-next': 'History forward',
+      'clear-input': 'Clear input',
+      'search': 'Find in scrollback',
+      'close-split': 'Close split scrollback',
+      'toggle-map': 'Toggle map',
+      'toggle-stats': 'Toggle stat history',
+      'toggle-buttons': 'Toggle command buttons'
+    };
+  }
+  
+  /**
+   * Numpad movement, tab switching and command history
+   */
+  static defaults() {
+    const bindings = [
+      ['Numpad7', 'nw'], ['Numpad8', 'n'], ['Numpad9', 'ne'],
+      ['Numpad4', 'w'], ['Numpad5', 'look'], ['Numpad6', 'e'],
+      ['Numpad1', 'sw'], ['Numpad2', 's'], ['Numpad3', 'se'],
+      ['NumpadAdd', 'up'], ['NumpadSubtract', 'down']
+    ].map(([chord, value]) => ({ chord, action: 'send', value }));
+    
+    for (let i = 1; i <= 9; i++) {
+      bindings.push({ chord: `Alt+Digit${i}`, action: 'session', value: String(i) });
+    }
+    
+    bindings.push(
+      { chord: 'Alt+PageUp', action: 'prev-session', value: '' },
+      { chord: 'Alt+PageDown', action: 'next-session', value: '' },
+      { chord: 'ArrowUp', action: 'history-prev', value: '' },
+      { chord: 'ArrowDown', action: 'history-next', value: '' },
+      { chord: 'Escape', action: 'clear-input', value: '' },
+      { chord: 'End', action: 'close-split', value: '' },
+      { chord: 'Ctrl+KeyF', action: 'search', value: '' }
+    );
+    return bindings;
+  }
+  
+  /**
+   * Chord for a keydown event, or null for a lone modifier key
+   * Uses the physical key (KeyboardEvent.code) so bindings survive
+   * keyboard layouts and NumLock.
+   */
+  static chordFromEvent(e) {
+    if (!e.code || /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(e.code)) {
+      return null;
+    }
+    
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+    if (e.metaKey) modifiers.push('Meta');
+    return [...modifiers, e.code].join('+');
+  }
+  
+  /**
+   * Readable form of a chord: "Alt+Digit1" -> "Alt+1", "NumpadAdd" -> "Num +"
+   */
+  static formatChord(chord) {
+    const names = {
+      NumpadAdd: 'Num +',
+      NumpadSubtract: 'Num -',
+      NumpadMultiply: 'Num *',
+      NumpadDivide: 'Num /',
+      NumpadDecimal: 'Num .',
+      NumpadEnter: 'Num Enter'
+    };
+    
+    return chord.split('+').map(part => names[part] || part
+      .replace(/^Key([A-Z])$/, '$1')
+      .replace(/^Digit(\d)$/, '$1')
+      .replace(/^Numpad(\d)$/, 'Num $1')
+      .replace(/^Arrow/, '')).join('+');
+  }
+  
+  find(chord) {
+    return this.bindings.find(b => b.chord === chord) || null;
+  }
+  
+  isReserved(chord) {
+    return this.reserved.includes(chord);
+  }
+  
+  /**
+   * Chords bound more than once (only the first binding is used)
+   * @returns {string[]}
+   */
+  getConflicts() {
+    const seen = new Set();
+    const conflicts = new Set();
+    for (const { chord } of this.bindings) {
+      if (!chord) continue;
+      if (seen.has(chord)) {
+        conflicts.add(chord);
+      }
+      seen.add(chord);
+    }
+    return [...conflicts];
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyBindings;
+}
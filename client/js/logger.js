@@ -0,0 +1,240 @@
+/**
+ * Session Logger for MUD3
+ * Records the output stream per character and session in IndexedDB
+ */
+
+class SessionLogger {
+  /**
+   * @param {MUD3Storage} storage
+   * @param {Object} options
+   * @param {number} options.maxBytes - Total size of all logs before the oldest are pruned
+   * @param {number} options.flushInterval - ms between writes to IndexedDB
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      maxBytes: options.maxBytes || 20 * 1024 * 1024,
+      flushInterval: options.flushInterval || 2000,
+      ...options
+    };
+    
+    this.session = null;
+    this.buffer = '';
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+  
+  get active() {
+    return this.session !== null;
+  }
+  
+  /**
+   * Begin a new log session
+   * @param {string} character - Character (or account) the session belongs to
+   */
+  start(character) {
+    if (this.session) {
+      this.stop();
+    }
+    
+    this.session = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      character,
+      started: Date.now(),
+      ended: null,
+      bytes: 0
+    };
+    this.queue(() => this.storage.put('logSessions', { ...this.session }));
+  }
+  
+  /**
+   * Name the current session's character once it is known
+   */
+  setCharacter(character) {
+    if (!this.session || this.session.character === character) return;
+    
+    this.session.character = character;
+    const session = { ...this.session };
+    this.queue(() => this.storage.put('logSessions', session));
+  }
+  
+  /**
+   * End the current session, writing out anything buffered
+   */
+  stop() {
+    if (!this.session) return;
+    
+    this.flush();
+    const session = this.session;
+    session.ended = Date.now();
+    this.queue(() => this.storage.put('logSessions', { ...session }));
+    this.session = null;
+  }
+  
+  /**
+   * Append output (raw ANSI as a byte string) to the current session
+   */
+  write(text) {
+    if (!this.session || !text) return;
+    
+    this.buffer += text;
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+    }
+  }
+  
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.session || !this.buffer) return;
+    
+    const session = this.session;
+    const data = this.buffer;
+    this.buffer = '';
+    session.bytes += data.length;
+    
+    this.queue(async () => {
+      await this.storage.put('logChunks', {
+        sessionId: session.id,
+        time: Date.now(),
+        size: data.length,
+        data
+      });
+      await this.storage.put('logSessions', { ...session });
+      await this.prune();
+    });
+  }
+  
+  /**
+   * Run storage work in order, logging (not throwing) failures
+   */
+  queue(fn) {
+    this.writing = this.writing
+      .then(fn)
+      .catch(err => console.warn('Session log write failed:', err));
+    return this.writing;
+  }
+  
+  /**
+   * Delete the oldest logs until the total size is under maxBytes
+   */
+  async prune() {
+    const sessions = await this.listSessions();
+    let total = sessions.reduce((sum, s) => sum + s.bytes, 0);
+    
+    // Whole sessions first, oldest first, never the one being recorded
+    for (const session of sessions.reverse()) {
+      if (total <= this.options.maxBytes) return;
+      if (this.session && session.id === this.session.id) continue;
+      
+      await this.deleteSession(session.id);
+      total -= session.bytes;
+    }
+    
+    // Still too big: drop the start of the current session
+    if (total > this.options.maxBytes && this.session) {
+      const chunks = await this.storage.getAllKeys('logChunks', 'sessionId', this.session.id);
+      for (const key of chunks) {
+        if (total <= this.options.maxBytes) break;
+        const chunk = await this.storage.get('logChunks', key);
+        await this.storage.delete('logChunks', key);
+        total -= chunk.size;
+        this.session.bytes -= chunk.size;
+      }
+      await this.storage.put('logSessions', { ...this.session });
+    }
+  }
+  
+  /**
+   * All sessions, newest first
+   */
+  async listSessions() {
+    const sessions = await this.storage.getAll('logSessions');
+    return sessions.sort((a, b) => b.started - a.started);
+  }
+  
+  /**
+   * Full raw text of a session
+   */
+  async getSessionData(id) {
+    await this.writing;
+    const chunks = await this.storage.getAll('logChunks', 'sessionId', id);
+    return chunks.map(c => c.data).join('');
+  }
+  
+  async deleteSession(id) {
+    const keys = await this.storage.getAllKeys('logChunks', 'sessionId', id);
+    for (const key of keys) {
+      await this.storage.delete('logChunks', key);
+    }
+    await this.storage.delete('logSessions', id);
+  }
+  
+  // ==================== Export ====================
+  
+  /**
+   * Raw ANSI bytes, re-playable through the client or a terminal
+   */
+  toANSI(data) {
+    return Uint8Array.from(data, ch => ch.charCodeAt(0));
+  }
+  
+  /**
+   * Text with all colour and control codes removed
+   */
+  toPlainText(data) {
+    return new ANSIParser().parse(data)
+      .map(seg => seg.text || (seg.newline ? '\n' : ''))
+      .join('');
+  }
+  
+  /**
+   * Standalone HTML page keeping the colours and text attributes
+   */
+  toHTML(data, title) {
+    const escape = (text) => text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    
+    const body = new ANSIParser().parse(data).map(seg => {
+      if (seg.newline) return '\n';
+      if (!seg.text) return '';
+      
+      const styles = [];
+      if (seg.fg && seg.fg !== '#aaaaaa') styles.push(`color:${seg.fg}`);
+      if (seg.bg && seg.bg !== '#000000') styles.push(`background:${seg.bg}`);
+      if (seg.attrs?.bold) styles.push('font-weight:bold');
+      if (seg.attrs?.dim) styles.push('opacity:0.6');
+      if (seg.attrs?.italic) styles.push('font-style:italic');
+      if (seg.attrs?.hidden) styles.push('color:transparent');
+      
+      const lines = [seg.attrs?.underline && 'underline', seg.attrs?.strike && 'line-through'].filter(Boolean);
+      if (lines.length) styles.push(`text-decoration:${lines.join(' ')}`);
+      return styles.length
+        ? `<span style="${styles.join(';')}">${escape(seg.text)}</span>`
+        : escape(seg.text);
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>
+  body { background: #000000; color: #aaaaaa; margin: 1rem; }
+  pre { font-family: 'Cascadia Mono', 'Fira Code', 'Consolas', monospace; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionLogger;
+}
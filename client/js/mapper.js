@@ -0,0 +1,305 @@
+/**
+ * Automapper for MUD3
+ * Builds a room graph by pairing movement commands with room titles
+ */
+
+class AutoMapper {
+  constructor(map = null) {
+    // Movement words and their canonical direction
+    this.directions = {
+      n: 'n', north: 'n',
+      ne: 'ne', northeast: 'ne',
+      e: 'e', east: 'e',
+      se: 'se', southeast: 'se',
+      s: 's', south: 's',
+      sw: 'sw', southwest: 'sw',
+      w: 'w', west: 'w',
+      nw: 'nw', northwest: 'nw',
+      u: 'u', up: 'u',
+      d: 'd', down: 'd',
+      in: 'in', out: 'out',
+      zw: 'zw', swamp: 'zw', swampward: 'zw'
+    };
+    
+    // Grid offsets [x, y, z]; in, out and swampward have no fixed place
+    this.offsets = {
+      n: [0, -1, 0], ne: [1, -1, 0], e: [1, 0, 0], se: [1, 1, 0],
+      s: [0, 1, 0], sw: [-1, 1, 0], w: [-1, 0, 0], nw: [-1, -1, 0],
+      u: [0, 0, 1], d: [0, 0, -1]
+    };
+    
+    // Lines that mean a movement failed instead of arriving somewhere
+    this.failPatterns = [
+      /^you\b/i,
+      /\bcan'?t\b/i,
+      /\bcannot\b/i,
+      /\bno exit\b/i,
+      /\bblocks? your way\b/i
+    ];
+    
+    // Moves older than this are assumed lost
+    this.moveTimeout = 10000;
+    
+    // Movement commands sent but not yet answered
+    this.pendingMoves = [];
+    this.pendingLook = false;
+    
+    // Event callbacks
+    this.onChange = null;     // (mapper) - map or position changed
+    this.onArrive = null;     // (room, direction) - a movement reached a room
+    this.onMoveFailed = null; // (direction, line)
+    
+    this.load(map);
+  }
+  
+  /**
+   * Replace the current map with a stored one (or an empty map)
+   */
+  load(map) {
+    this.map = map && map.rooms ? map : {
+      version: 1,
+      rooms: {},
+      nextId: 1,
+      currentRoom: null
+    };
+    this.pendingMoves = [];
+    this.pendingLook = false;
+  }
+  
+  clear() {
+    this.load(null);
+    this.changed();
+  }
+  
+  getCurrentRoom() {
+    return this.map.rooms[this.map.currentRoom] || null;
+  }
+  
+  /**
+   * Canonical direction for a command, or null if it is not a move
+   */
+  getDirection(command) {
+    const word = command.trim().toLowerCase().replace(/^go\s+/, '');
+    return this.directions[word] || null;
+  }
+  
+  /**
+   * Note a command being sent to the server
+   */
+  onCommand(command) {
+    const dir = this.getDirection(command);
+    if (dir) {
+      this.pendingMoves.push({ dir, time: Date.now() });
+    } else if (/^\s*(l|look)\s*$/i.test(command)) {
+      this.pendingLook = true;
+    }
+  }
+  
+  /**
+   * Note a completed line of output
+   */
+  onLine(line) {
+    const text = line.trim();
+    
+    // Blank lines and prompt/echo lines carry no room information
+    if (!text || text.startsWith('*')) return;
+    
+    const now = Date.now();
+    this.pendingMoves = this.pendingMoves.filter(m => now - m.time < this.moveTimeout);
+    
+    if (this.pendingMoves.length) {
+      const move = this.pendingMoves.shift();
+      if (this.isRoomTitle(text)) {
+        this.arrive(move.dir, text);
+      } else if (this.onMoveFailed) {
+        this.onMoveFailed(move.dir, text);
+      }
+      return;
+    }
+    
+    if (this.pendingLook) {
+      this.pendingLook = false;
+      if (this.isRoomTitle(text)) {
+        this.relocate(text);
+      }
+    }
+  }
+  
+  /**
+   * Re-establish our position from a "look" (e.g. after reconnecting)
+   */
+  relocate(name) {
+    const current = this.getCurrentRoom();
+    if (!current) {
+      this.arrive(null, name);
+      return;
+    }
+    if (current.name === name) return;
+    
+    // Only move if the title is unambiguous
+    const matches = Object.values(this.map.rooms).filter(r => r.name === name);
+    if (matches.length === 1) {
+      this.map.currentRoom = matches[0].id;
+      this.changed();
+    }
+  }
+  
+  /**
+   * Does a line look like a room title rather than a message?
+   */
+  isRoomTitle(text) {
+    if (text.length > 80 || /[!?]$/.test(text)) return false;
+    if (!/^[A-Z]/.test(text)) return false;
+    return !this.failPatterns.some(re => re.test(text));
+  }
+  
+  /**
+   * Record arriving in a room with the given title
+   * @param {string|null} dir - Direction moved from the current room
+   */
+  arrive(dir, name) {
+    const from = this.getCurrentRoom();
+    let room = null;
+    
+    if (from && dir) {
+      // Known exit leading to a room of that name
+      const known = this.map.rooms[from.exits[dir]];
+      if (known && known.name === name) {
+        room = known;
+      }
+      
+      // A room of that name already mapped where this exit points
+      if (!room && this.offsets[dir]) {
+        const [x, y, z] = this.step(from, dir);
+        const there = this.roomAt(x, y, z);
+        if (there && there.name === name) {
+          room = there;
+        }
+      }
+      
+      if (!room) {
+        room = this.createRoom(name, this.placeFrom(from, dir));
+      }
+      from.exits[dir] = room.id;
+    } else if (!from) {
+      room = this.createRoom(name, [0, 0, 0]);
+    } else {
+      room = from;
+    }
+    
+    this.map.currentRoom = room.id;
+    this.changed();
+    
+    if (dir && this.onArrive) {
+      this.onArrive(room, dir);
+    }
+  }
+  
+  /**
+   * Shortest path from the current room to a room by name
+   * Exact title matches are preferred over partial ones.
+   * @returns {string[]|null} Directions to walk, or null if unreachable
+   */
+  findPath(name) {
+    const start = this.getCurrentRoom();
+    if (!start) return null;
+    
+    const wanted = name.trim().toLowerCase().replace(/\.$/, '');
+    const title = (room) => room.name.toLowerCase().replace(/\.$/, '');
+    
+    for (const matches of [
+      (room) => title(room) === wanted,
+      (room) => title(room).includes(wanted)
+    ]) {
+      // Breadth-first search over known exits
+      const previous = new Map([[start.id, null]]);
+      const queue = [start];
+      
+      while (queue.length) {
+        const room = queue.shift();
+        if (room !== start && matches(room)) {
+          const path = [];
+          for (let step = previous.get(room.id); step; step = previous.get(step.from)) {
+            path.unshift(step.dir);
+          }
+          return path;
+        }
+        
+        for (const [dir, id] of Object.entries(room.exits)) {
+          const next = this.map.rooms[id];
+          if (next && !previous.has(next.id)) {
+            previous.set(next.id, { from: room.id, dir });
+            queue.push(next);
+          }
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  createRoom(name, [x, y, z]) {
+    const id = this.map.nextId++;
+    const room = { id, name, x, y, z, exits: {} };
+    this.map.rooms[id] = room;
+    return room;
+  }
+  
+  step(room, dir) {
+    const [dx, dy, dz] = this.offsets[dir];
+    return [room.x + dx, room.y + dy, room.z + dz];
+  }
+  
+  roomAt(x, y, z) {
+    return Object.values(this.map.rooms).find(r => r.x === x && r.y === y && r.z === z) || null;
+  }
+  
+  /**
+   * Choose grid coordinates for a new room reached from another
+   * Falls back to the nearest free cell when the natural spot is taken.
+   */
+  placeFrom(from, dir) {
+    const [x, y, z] = this.offsets[dir] ? this.step(from, dir) : [from.x, from.y, from.z];
+    if (!this.roomAt(x, y, z)) return [x, y, z];
+    
+    for (let radius = 1; radius < 50; radius++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+          if (!this.roomAt(x + dx, y + dy, z)) return [x + dx, y + dy, z];
+        }
+      }
+    }
+    return [x, y, z];
+  }
+  
+  changed() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+  
+  /**
+   * Serialise the map for storage or export
+   */
+  toJSON() {
+    return this.map;
+  }
+  
+  /**
+   * Validate and load an imported map
+   * @throws {Error} If the data is not a MUD3 map
+   */
+  importJSON(data) {
+    if (!data || typeof data.rooms !== 'object' || !Number.isInteger(data.nextId)) {
+      throw new Error('Not a MUD3 map file');
+    }
+    this.load(data);
+    this.changed();
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutoMapper;
+}
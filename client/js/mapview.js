@@ -0,0 +1,123 @@
+/**
+ * Map View for MUD3
+ * Renders the automapper's room graph as SVG around the current room
+ */
+
+class MapView {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+    
+    this.options = {
+      cellSize: options.cellSize || 36,
+      roomSize: options.roomSize || 20,
+      ...options
+    };
+    
+    this.svgNS = 'http://www.w3.org/2000/svg';
+    
+    // Markers for exits that do not lie on the grid
+    this.exitMarks = {
+      u: '▲', d: '▼', in: 'i', out: 'o', zw: 'z'
+    };
+  }
+  
+  /**
+   * Draw the map level containing the current room
+   * @param {AutoMapper} mapper
+   */
+  render(mapper) {
+    const { cellSize, roomSize } = this.options;
+    const rooms = mapper.map.rooms;
+    const current = mapper.getCurrentRoom();
+    
+    this.container.innerHTML = '';
+    if (!current) return;
+    
+    const width = this.container.clientWidth || 200;
+    const height = this.container.clientHeight || 200;
+    
+    const svg = this.createElement('svg', {
+      class: 'map-svg',
+      width,
+      height,
+      viewBox: `${-width / 2} ${-height / 2} ${width} ${height}`
+    });
+    
+    const level = Object.values(rooms).filter(r => r.z === current.z);
+    const pos = (room) => [(room.x - current.x) * cellSize, (room.y - current.y) * cellSize];
+    const half = roomSize / 2;
+    
+    // Exits first so rooms are drawn over them
+    for (const room of level) {
+      const [x, y] = pos(room);
+      for (const [dir, targetId] of Object.entries(room.exits)) {
+        const target = rooms[targetId];
+        const offset = mapper.offsets[dir];
+        if (!target || !offset || offset[2] !== 0) continue;
+        
+        // Adjacent rooms get a full line, others a stub in the exit direction
+        const adjacent = target.z === room.z &&
+          target.x === room.x + offset[0] && target.y === room.y + offset[1];
+        const [tx, ty] = adjacent
+          ? pos(target)
+          : [x + offset[0] * cellSize * 0.45, y + offset[1] * cellSize * 0.45];
+        
+        svg.appendChild(this.createElement('line', {
+          class: adjacent ? 'map-exit' : 'map-exit map-exit-stub',
+          x1: x, y1: y, x2: tx, y2: ty
+        }));
+      }
+    }
+    
+    for (const room of level) {
+      const [x, y] = pos(room);
+      if (Math.abs(x) > width / 2 + cellSize || Math.abs(y) > height / 2 + cellSize) continue;
+      
+      const rect = this.createElement('rect', {
+        class: room.id === current.id ? 'map-room map-room-current' : 'map-room',
+        x: x - half,
+        y: y - half,
+        width: roomSize,
+        height: roomSize,
+        rx: 3
+      });
+      const title = this.createElement('title');
+      title.textContent = room.name;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+      
+      // Off-grid exits as small marks inside the room
+      const marks = Object.keys(room.exits)
+        .filter(dir => this.exitMarks[dir])
+        .map(dir => this.exitMarks[dir])
+        .join('');
+      if (marks) {
+        const text = this.createElement('text', {
+          class: 'map-exit-mark',
+          x,
+          y: y + 3,
+          'text-anchor': 'middle'
+        });
+        text.textContent = marks;
+        svg.appendChild(text);
+      }
+    }
+    
+    this.container.appendChild(svg);
+  }
+  
+  createElement(tag, attrs = {}) {
+    const el = document.createElementNS(this.svgNS, tag);
+    for (const [name, value] of Object.entries(attrs)) {
+      el.setAttribute(name, value);
+    }
+    return el;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MapView;
+}
@@ -20,7 +20,16 @@ class MUD2Protocol {
       blind: false,
       deaf: false,
       crippled: false,
-      dumb: false
+      dumb: false,
+      // Seconds to the next reset as last reported, and when that will be
+      reset: null,
+      resetAt: null
+    };
+    
+    // FES weather letters
+    this.weatherNames = {
+      S: 'sunny', R: 'raining', C: 'cloudy',
+      F: 'foggy', T: 'stormy', B: 'snowing'
     };
     
     // Account info
@@ -30,16 +39,26 @@ class MUD2Protocol {
       privs: 0
     };
     
-    // Dreamword
+    // Dreamword, and the text collected after a C15 while it arrives
     this.dreamword = '';
+    this.dreamwordCapture = null;
+    this.maxDreamword = 40;
     
     // Connection mode
     this.mode = 'TELNET'; // TELNET, CLIENT, GAME
     
+    // Bytes of an incomplete sequence (client code, FES line or ESC -)
+    // held back from the previous parse() call, and whether flush() is
+    // parsing them as they are
+    this.pending = null;
+    this.maxPending = 512;
+    this.flushing = false;
+    
     // Event callbacks
-    this.onStatsUpdate = null;
+    this.onStatsUpdate = null; // (stats, previous) - previous only for FES lines
     this.onModeChange = null;
     this.onDreamword = null;
+    this.onAccount = null;
     
     // MUD2 client code bytes (from Clio source)
     this.C = {};
@@ -55,10 +74,21 @@ class MUD2Protocol {
     this.C[98] = 253; // 0xFD
     this.C[99] = 254; // 0xFE
     this.C[255] = 255; // 0xFF - terminator
+    
+    // Bytes that start a client code; other high bytes are Latin-1 text
+    this.codeBytes = new Set(Object.values(this.C).filter(b => b !== 255));
+    
+    // C99 colour numbers are in PC order (blue before red); map them
+    // to the ANSI palette used by ANSIParser
+    this.directColors = [0, 4, 2, 6, 1, 5, 3, 7, 8, 12, 10, 14, 9, 13, 11, 15];
   }
   
   /**
    * Parse raw data for MUD2 client codes
+   * Incomplete sequences at the end of a chunk are carried over and
+   * completed by the next call, so output does not depend on how the
+   * stream was fragmented.
+   * Each command's offset is the position in cleanData it applies at.
    * @param {Uint8Array} data - Raw bytes from server
    * @returns {Object} { cleanData: Uint8Array, commands: Array }
    */
@@ -67,46 +97,76 @@ class MUD2Protocol {
     const cleanBytes = [];
     let i = 0;
     
+    if (this.pending) {
+      const joined = new Uint8Array(this.pending.length + data.length);
+      joined.set(this.pending);
+      joined.set(data, this.pending.length);
+      data = joined;
+      this.pending = null;
+    }
+    
     while (i < data.length) {
       const byte = data[i];
       
       // Check for FES (Front End Score) sequence: C12 C08 C01 0xFF (167 163 156 255)
       // This is followed by stats data until newline
-      if (byte === 167 && i + 3 < data.length && 
-          data[i + 1] === 163 && data[i + 2] === 156 && data[i + 3] === 255) {
-        // Skip the header bytes
-        i += 4;
-        
-        // Find the newline to get the FES data
-        let fesData = '';
-        while (i < data.length && data[i] !== 10 && data[i] !== 13) {
-          // Skip any more client codes (high bytes)
-          if (data[i] >= 155 && data[i] <= 255) {
-            i++;
-            continue;
+      if (byte === 167 && this.isFESHeader(data, i)) {
+        if (i + 3 >= data.length) {
+          // Header split across chunks
+          if (this.holdBack(data, i)) break;
+        } else {
+          const line = this.readFieldLine(data, i + 4);
+          
+          // Line not finished yet - wait for the rest
+          if (!line.complete && this.holdBack(data, i)) break;
+          
+          // Parse the FES line
+          if (line.text.trim()) {
+            this.parseFESLine(line.text);
           }
-          fesData += String.fromCharCode(data[i]);
-          i++;
-        }
-        
-        // Parse the FES line
-        if (fesData.trim()) {
-          this.parseFESLine(fesData);
+          i = line.nextIndex;
+          continue;
         }
-        continue;
       }
       
-      // Check for MUD2 client codes (0x9B - 0xFE range)
-      if (byte >= 155 && byte <= 254) {
+      // Check for MUD2 client codes
+      if (this.codeBytes.has(byte)) {
         // Try to parse client code sequence
         const result = this.parseClientCode(data, i);
+        
+        // C95 is followed by the account fields up to the line end
+        if (result && result.command?.type === 'clientModeStart') {
+          const line = this.readFieldLine(data, result.nextIndex);
+          if (!line.complete && this.holdBack(data, i)) break;
+          
+          this.finishDreamword();
+          this.parseAccount(line.text);
+          commands.push({ ...result.command, account: { ...this.account }, offset: cleanBytes.length });
+          i = line.nextIndex;
+          continue;
+        }
+        
         if (result) {
+          // Any further code ends a dreamword
+          this.finishDreamword();
           if (result.command) {
-            commands.push(result.command);
+            commands.push({ ...result.command, offset: cleanBytes.length });
+            if (result.command.type === 'dreamword') {
+              this.dreamwordCapture = '';
+            }
           }
           i = result.nextIndex;
           continue;
         }
+        
+        // Terminator may still be in flight
+        if (this.isCodePrefix(data, i) && this.holdBack(data, i)) break;
+      }
+      
+      // ESC or ESC - at the very end of the chunk
+      if (byte === 0x1B && (i + 1 >= data.length ||
+          (data[i + 1] === 0x2D && i + 2 >= data.length))) {
+        if (this.holdBack(data, i)) break;
       }
       
       // Check for ESC - client mode codes
@@ -114,20 +174,20 @@ class MUD2Protocol {
         const code = data[i + 2];
         switch (code) {
           case 0x43: // C - Clear screen, enter client mode
-            commands.push({ type: 'clear' });
+            commands.push({ type: 'clear', offset: cleanBytes.length });
             this.setMode('CLIENT');
             i += 3;
             continue;
           case 0x52: // R - Reverse on
-            commands.push({ type: 'reverse', value: true });
+            commands.push({ type: 'reverse', value: true, offset: cleanBytes.length });
             i += 3;
             continue;
           case 0x72: // r - Reverse off
-            commands.push({ type: 'reverse', value: false });
+            commands.push({ type: 'reverse', value: false, offset: cleanBytes.length });
             i += 3;
             continue;
           case 0x4B: // K - Clear to end of line
-            commands.push({ type: 'clearLine' });
+            commands.push({ type: 'clearLine', offset: cleanBytes.length });
             i += 3;
             continue;
           case 0x54: // T - Text mode
@@ -136,6 +196,9 @@ class MUD2Protocol {
         }
       }
       
+      if (this.dreamwordCapture !== null) {
+        this.captureDreamword(byte);
+      }
       cleanBytes.push(byte);
       i++;
     }
@@ -146,15 +209,134 @@ class MUD2Protocol {
     };
   }
   
+  /**
+   * Read a data line that follows a header (FES, C95)
+   * Client codes inside it are skipped, and the line end (LF, CR or
+   * CR LF) is consumed so the line leaves no trace in the output.
+   * @returns {Object} { text, nextIndex, complete }
+   */
+  readFieldLine(data, start) {
+    let text = '';
+    let i = start;
+    while (i < data.length && data[i] !== 10 && data[i] !== 13) {
+      if (data[i] < 155) {
+        text += String.fromCharCode(data[i]);
+      }
+      i++;
+    }
+    
+    // A CR at the end of the chunk may yet be followed by LF
+    if (i + 1 >= data.length && data[i] !== 10) {
+      return { text, nextIndex: data.length, complete: false };
+    }
+    
+    const lineEnd = data[i] === 13 && data[i + 1] === 10 ? 2 : 1;
+    return { text, nextIndex: i + lineEnd, complete: true };
+  }
+  
+  /**
+   * Check whether the bytes at start are (a prefix of) the FES header
+   */
+  isFESHeader(data, start) {
+    const header = [167, 163, 156, 255];
+    for (let k = 0; k < header.length && start + k < data.length; k++) {
+      if (data[start + k] !== header[k]) return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Check whether the bytes from start to the end of the chunk can still
+   * become a client code: a code byte and argument bytes, no terminator yet
+   */
+  isCodePrefix(data, start) {
+    if (data.length - start > 20) return false;
+    for (let k = start + 1; k < data.length; k++) {
+      if (data[k] < 155 || data[k] > 254) return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Keep the tail of a chunk for the next parse() call
+   * Returns false if the tail is too long to be a real sequence, or
+   * while flushing, in which case the caller processes it as plain bytes.
+   */
+  holdBack(data, start) {
+    if (this.flushing || data.length - start > this.maxPending) {
+      return false;
+    }
+    this.pending = data.slice(start);
+    return true;
+  }
+  
+  /**
+   * Stop waiting for the rest of a held-back client code and parse it as
+   * text: a prompt may simply end in a character such as £ (C08)
+   * Call when no more data has come for a while. Other held-back
+   * sequences (an unfinished FES line) are left to wait.
+   * @returns {Object} { cleanData, commands } as from parse()
+   */
+  flush() {
+    const data = this.pending;
+    if (!data || !this.codeBytes.has(data[0]) || !this.isCodePrefix(data, 0)) {
+      return { cleanData: new Uint8Array(0), commands: [] };
+    }
+    
+    this.pending = null;
+    this.flushing = true;
+    const result = this.parse(data);
+    this.flushing = false;
+    return result;
+  }
+  
+  /**
+   * Drop any carried-over bytes (call when a new connection starts)
+   */
+  resetStream() {
+    this.pending = null;
+    this.dreamwordCapture = null;
+  }
+  
+  /**
+   * Add a byte of output following a C15 to the dreamword
+   * The word ends at the next client code, control character or line end.
+   */
+  captureDreamword(byte) {
+    if (byte < 0x20 || byte >= 0x7F) {
+      this.finishDreamword();
+      return;
+    }
+    this.dreamwordCapture += String.fromCharCode(byte);
+    if (this.dreamwordCapture.length >= this.maxDreamword) {
+      this.finishDreamword();
+    }
+  }
+  
+  finishDreamword() {
+    if (this.dreamwordCapture === null) return;
+    
+    const word = this.dreamwordCapture.trim().replace(/[.,;:!?'"]+$/, '');
+    this.dreamwordCapture = null;
+    if (!word) return;
+    
+    this.dreamword = word;
+    if (this.onDreamword) {
+      this.onDreamword(word);
+    }
+  }
+  
   /**
    * Parse a MUD2 client code sequence
    */
   parseClientCode(data, start) {
     const byte = data[start];
     
-    // Look for terminator (0xFF)
+    // Look for terminator (0xFF); anything but argument bytes before it
+    // means this was text
     let end = start + 1;
     while (end < data.length && data[end] !== 255) {
+      if (data[end] < 155) return null;
       end++;
       if (end - start > 20) break; // Safety limit
     }
@@ -254,11 +436,11 @@ class MUD2Protocol {
       return { type: 'clientModeStart' };
     }
     
-    // C99 (254) - Direct color codes
+    // C99 (254) - Direct color codes: C99 <fg> [<bg>] 0xFF, each 155 + n
     if (first === 254) {
       if (seq.length >= 3) {
-        const fg = seq[1] - 155;
-        const bg = seq[2] - 155;
+        const fg = this.directColors[seq[1] - 155] ?? null;
+        const bg = seq.length >= 4 ? this.directColors[seq[2] - 155] ?? null : null;
         return { type: 'colorDirect', fg, bg };
       }
     }
@@ -267,85 +449,91 @@ class MUD2Protocol {
   }
   
   /**
-   * Parse FES (Front End Score) line - matches Clio's parsing
-   * Format: sta msta str mstr dex mdex mag mmag score blind deaf crip dumb reset weather
-   * Example: "100 100 100 100 100 100 50 50 12345 N N N N 30 S"
+   * Parse the C95 account header: account id, licence and privilege level
+   * Example: "A1234 L 0"
    */
-  parseFES(text) {
-    const parts = text.trim().split(/\s+/);
+  parseAccount(text) {
+    const [id = '', licence = '', privs = '0'] = text.trim().split(/\s+/);
+    this.account = {
+      id,
+      licence,
+      privs: parseInt(privs, 10) || 0
+    };
+    this.setMode('CLIENT');
     
-    if (parts.length >= 10) {
-      this.stats.stamina = parseInt(parts[0]) || 0;
-      this.stats.maxStamina = parseInt(parts[1]) || 0;
-      this.stats.strength = parseInt(parts[2]) || 0;
-      this.stats.maxStrength = parseInt(parts[3]) || 0;
-      this.stats.dexterity = parseInt(parts[4]) || 0;
-      this.stats.maxDexterity = parseInt(parts[5]) || 0;
-      this.stats.magic = parseInt(parts[6]) || 0;
-      this.stats.maxMagic = parseInt(parts[7]) || 0;
-      this.stats.score = parseInt(parts[8]) || 0;
-      
-      if (parts.length > 9) this.stats.blind = parts[9] === 'Y';
-      if (parts.length > 10) this.stats.deaf = parts[10] === 'Y';
-      if (parts.length > 11) this.stats.crippled = parts[11] === 'Y';
-      if (parts.length > 12) this.stats.dumb = parts[12] === 'Y';
-      if (parts.length > 14) this.stats.weather = parts[14] || '';
-      
-      if (this.onStatsUpdate) {
-        this.onStatsUpdate(this.stats);
-      }
+    if (this.onAccount) {
+      this.onAccount({ ...this.account });
+    }
+  }
+  
+  /**
+   * Forget the account (call when a new connection starts)
+   */
+  resetAccount() {
+    this.account = { id: '', licence: '', privs: 0 };
+    if (this.onAccount) {
+      this.onAccount({ ...this.account });
     }
   }
   
   /**
-   * Parse FES line from binary client code sequence (like Clio)
-   * Called when we detect C12 C08 C01 0xFF sequence
+   * Wizards and witches have a privilege level above zero
+   */
+  isWizard() {
+    return this.account.privs > 0;
+  }
+  
+  /**
+   * Decode an FES (Front End Score) line, strictly by position as Clio does
+   * Format: sta msta str mstr dex mdex mag mmag score blind deaf crip dumb reset weather
+   * Example: "100 100 100 100 100 100 50 50 12345 N N N N 30 S"
+   * reset is the number of seconds until the next reset.
+   * @returns {boolean} Whether the line was a valid FES line
    */
   parseFESLine(text) {
-    // Extract just the numbers from the FES data
-    // The format is: sta msta str mstr dex mdex mag mmag score blind deaf crip dumb reset weather
-    const numbers = text.match(/\d+/g);
-    
-    if (numbers && numbers.length >= 9) {
-      this.stats.stamina = parseInt(numbers[0]) || 0;
-      this.stats.maxStamina = parseInt(numbers[1]) || 0;
-      this.stats.strength = parseInt(numbers[2]) || 0;
-      this.stats.maxStrength = parseInt(numbers[3]) || 0;
-      this.stats.dexterity = parseInt(numbers[4]) || 0;
-      this.stats.maxDexterity = parseInt(numbers[5]) || 0;
-      this.stats.magic = parseInt(numbers[6]) || 0;
-      this.stats.maxMagic = parseInt(numbers[7]) || 0;
-      this.stats.score = parseInt(numbers[8]) || 0;
-      
-      // Check for Y/N flags after the numbers
-      const flags = text.match(/[YN]/g);
-      if (flags) {
-        if (flags.length > 0) this.stats.blind = flags[0] === 'Y';
-        if (flags.length > 1) this.stats.deaf = flags[1] === 'Y';
-        if (flags.length > 2) this.stats.crippled = flags[2] === 'Y';
-        if (flags.length > 3) this.stats.dumb = flags[3] === 'Y';
-      }
-      
-      // Weather is usually a single letter at the end (S=sunny, R=rain, etc)
-      const weatherMatch = text.match(/[SRCFTB]\s*$/i);
-      if (weatherMatch) {
-        const w = weatherMatch[0].trim().toUpperCase();
-        const weatherMap = {
-          'S': 'sunny', 'R': 'raining', 'C': 'cloudy', 
-          'F': 'foggy', 'T': 'stormy', 'B': 'snowing'
-        };
-        this.stats.weather = weatherMap[w] || w;
-      }
-      
-      // Enter game mode when we receive FES
-      this.setMode('GAME');
-      
-      if (this.onStatsUpdate) {
-        this.onStatsUpdate(this.stats);
-      }
-      
-      console.log('FES parsed:', this.stats);
+    const parts = text.trim().split(/\s+/);
+    const numbers = parts.slice(0, 9);
+    const flags = parts.slice(9, 13);
+    const [reset, weather] = parts.slice(13);
+    
+    if (parts.length !== 15 ||
+        !numbers.every(n => /^\d+$/.test(n)) ||
+        !flags.every(f => f === 'Y' || f === 'N') ||
+        !/^\d+$/.test(reset) ||
+        !/^[A-Z]$/i.test(weather)) {
+      console.warn('Malformed FES line:', text);
+      return false;
+    }
+    
+    const previous = { ...this.stats };
+    const [sta, msta, str, mstr, dex, mdex, mag, mmag, score] = numbers.map(n => parseInt(n, 10));
+    
+    Object.assign(this.stats, {
+      stamina: sta,
+      maxStamina: msta,
+      strength: str,
+      maxStrength: mstr,
+      dexterity: dex,
+      maxDexterity: mdex,
+      magic: mag,
+      maxMagic: mmag,
+      score,
+      blind: flags[0] === 'Y',
+      deaf: flags[1] === 'Y',
+      crippled: flags[2] === 'Y',
+      dumb: flags[3] === 'Y',
+      reset: parseInt(reset, 10),
+      resetAt: Date.now() + parseInt(reset, 10) * 1000,
+      weather: this.weatherNames[weather.toUpperCase()] || weather
+    });
+    
+    // Enter game mode when we receive FES
+    this.setMode('GAME');
+    
+    if (this.onStatsUpdate) {
+      this.onStatsUpdate(this.stats, previous);
     }
+    return true;
   }
   
   /**
@@ -433,14 +621,17 @@ class MUD2Protocol {
   
   /**
    * Generate NAWS (window size) response
+   * Sizes are 16-bit big-endian; 0xFF bytes are doubled as required inside SB
    */
   static getNAWS(width, height) {
-    return new Uint8Array([
-      255, 250, 31,           // IAC SB NAWS
-      0, width & 0xFF,        // Width (high byte 0 for < 256)
-      0, height & 0xFF,       // Height
-      255, 240                // IAC SE
-    ]);
+    const bytes = [255, 250, 31]; // IAC SB NAWS
+    for (const value of [width >> 8, width, height >> 8, height]) {
+      const b = value & 0xFF;
+      bytes.push(b);
+      if (b === 255) bytes.push(255); // Escape IAC
+    }
+    bytes.push(255, 240); // IAC SE
+    return new Uint8Array(bytes);
   }
   
   /**
@@ -0,0 +1,154 @@
+/**
+ * Character Profiles for MUD3
+ * Named connection settings per character, with passwords encrypted
+ * at rest under a passphrase (PBKDF2 + AES-GCM via WebCrypto)
+ */
+
+class ProfileManager {
+  /**
+   * @param {string} key - localStorage key the profiles are kept under
+   */
+  constructor(key = 'mud3-profiles') {
+    this.key = key;
+    this.profiles = [];
+    this.iterations = 250000;
+    
+    // Unlocked passphrase, kept in memory for this page only
+    this.passphrase = null;
+    
+    this.load();
+  }
+  
+  list() {
+    return this.profiles;
+  }
+  
+  get(id) {
+    return this.profiles.find(p => p.id === id) || null;
+  }
+  
+  /**
+   * Add or replace a profile, filling in defaults
+   */
+  put(profile) {
+    const stored = {
+      id: profile.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: profile.name || 'Unnamed',
+      wsUrl: profile.wsUrl || '',
+      target: profile.target || '',
+      account: profile.account || '',
+      autoLogin: !!profile.autoLogin,
+      password: profile.password || null,
+      settings: profile.settings || {},
+      aliases: profile.aliases || {}
+    };
+    
+    // Update in place, as open sessions hold on to their profile
+    const existing = this.get(stored.id);
+    if (existing) {
+      Object.assign(existing, stored);
+    } else {
+      this.profiles.push(stored);
+    }
+    this.save();
+    return existing || stored;
+  }
+  
+  remove(id) {
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    this.save();
+  }
+  
+  // ==================== Passwords ====================
+  
+  /**
+   * Encrypt a password under a passphrase
+   * @returns {Promise<Object>} { salt, iv, data } as base64
+   */
+  async encryptPassword(password, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt);
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(password)
+    );
+    
+    return {
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data))
+    };
+  }
+  
+  /**
+   * Decrypt a stored password
+   * @throws {Error} If the passphrase is wrong or the data was altered
+   */
+  async decryptPassword(secret, passphrase) {
+    const key = await this.deriveKey(passphrase, this.fromBase64(secret.salt));
+    try {
+      const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(secret.iv) },
+        key,
+        this.fromBase64(secret.data)
+      );
+      return new TextDecoder().decode(data);
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+  }
+  
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+  
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+  
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+  
+  // ==================== Storage ====================
+  
+  load() {
+    try {
+      const saved = localStorage.getItem(this.key);
+      if (saved) {
+        this.profiles = JSON.parse(saved);
+      }
+    } catch (e) {
+      console.warn('Failed to load profiles:', e);
+    }
+  }
+  
+  save() {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(this.profiles));
+    } catch (e) {
+      console.warn('Failed to save profiles:', e);
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProfileManager;
+}
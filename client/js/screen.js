@@ -0,0 +1,405 @@
+/**
+ * Screen Buffer for MUD3
+ * A rows x cols grid of character cells with a cursor, for output that
+ * positions itself (the MUD2 client-mode screen, menus, editors)
+ *
+ * Each row is { cells, dirty, line }: cells are [char, fg, bg, className]
+ * like terminal segments (empty slots are blank), and line is the
+ * scrollback line the Terminal shows the row in.
+ */
+
+class ScreenBuffer {
+  /**
+   * @param {number} rows
+   * @param {number} cols
+   */
+  constructor(rows, cols) {
+    this.rows = Math.max(1, rows);
+    this.cols = Math.max(1, cols);
+    this.lines = [];
+    for (let i = 0; i < this.rows; i++) {
+      this.lines.push(this.blankRow());
+    }
+    
+    this.cursor = { row: 0, col: 0 };
+    this.saved = null;
+    
+    // Writing the last column wraps only when the next character comes
+    this.wrapPending = false;
+    
+    // Scroll region (DECSTBM), inclusive
+    this.top = 0;
+    this.bottom = this.rows - 1;
+    
+    // Whole-screen scrolls since output last positioned itself
+    this.scrolled = 0;
+    
+    // Rows scrolled off the top, oldest first, until the Terminal takes them
+    this.history = [];
+  }
+  
+  blankRow(cells = []) {
+    return { cells, dirty: true, line: null };
+  }
+  
+  /**
+   * Fill a row from terminal segments, e.g. lines already on screen
+   */
+  setRow(row, segments) {
+    const cells = [];
+    for (const [text, fg, bg, className] of segments) {
+      for (const ch of text) {
+        cells.push([ch, fg, bg, className]);
+      }
+    }
+    this.lines[row].cells = cells;
+    this.lines[row].dirty = true;
+  }
+  
+  /**
+   * Segments for a row object, merging cells of the same style and dropping
+   * trailing blanks
+   * @returns {Object} { segments, length }
+   */
+  getSegments(row) {
+    const cells = row.cells;
+    let end = cells.length;
+    while (end > 0 && this.isBlank(cells[end - 1])) end--;
+    
+    const segments = [];
+    let last = null;
+    for (let i = 0; i < end; i++) {
+      const [ch, fg, bg, className] = cells[i] || [' ', null, null, null];
+      if (last && last[1] === fg && last[2] === bg && last[3] === className) {
+        last[0] += ch;
+      } else {
+        last = [ch, fg, bg, className];
+        segments.push(last);
+      }
+    }
+    return { segments, length: end };
+  }
+  
+  isBlank(cell) {
+    return !cell || (cell[0] === ' ' && !cell[2] && !cell[3]);
+  }
+  
+  /**
+   * Change the size, keeping the rows nearest the bottom
+   * Rows dropped from the top are left in the scrollback.
+   */
+  resize(rows, cols) {
+    rows = Math.max(1, rows);
+    this.cols = Math.max(1, cols);
+    
+    while (this.lines.length < rows) {
+      this.lines.push(this.blankRow());
+    }
+    if (this.lines.length > rows) {
+      const removed = this.lines.length - rows;
+      this.history.push(...this.lines.splice(0, removed));
+      this.cursor.row = Math.max(0, this.cursor.row - removed);
+    }
+    
+    this.rows = rows;
+    this.top = 0;
+    this.bottom = rows - 1;
+    this.cursor.row = Math.min(this.cursor.row, rows - 1);
+    this.cursor.col = Math.min(this.cursor.col, this.cols - 1);
+    this.wrapPending = false;
+  }
+  
+  /**
+   * Put the cursor back where it was saved, within the current size
+   * A cursor saved inside the scroll region stays inside it, in case the
+   * region or the screen has shrunk since.
+   */
+  restoreCursor() {
+    const { row, col, inRegion } = this.saved;
+    const top = inRegion ? this.top : 0;
+    const bottom = inRegion ? this.bottom : this.rows - 1;
+    this.cursor = {
+      row: Math.min(Math.max(row, top), bottom),
+      col: Math.min(col, this.cols - 1)
+    };
+    this.wrapPending = false;
+  }
+  
+  // ==================== Writing ====================
+  
+  /**
+   * Write text at the cursor, wrapping at the right edge
+   * @param {Array} style - [fg, bg, className]
+   */
+  write(text, style) {
+    for (const ch of text) {
+      if (this.wrapPending) {
+        this.cursor.col = 0;
+        this.lineFeed();
+      }
+      
+      const { row, col } = this.cursor;
+      this.lines[row].cells[col] = [ch, ...style];
+      this.lines[row].dirty = true;
+      
+      if (col < this.cols - 1) {
+        this.cursor.col++;
+      } else {
+        this.wrapPending = true;
+      }
+    }
+  }
+  
+  /**
+   * Line break from the stream: carriage return and line feed
+   */
+  newLine() {
+    this.carriageReturn();
+    this.lineFeed();
+  }
+  
+  carriageReturn() {
+    this.cursor.col = 0;
+    this.wrapPending = false;
+  }
+  
+  backspace() {
+    this.cursor.col = Math.max(0, this.cursor.col - 1);
+    this.wrapPending = false;
+  }
+  
+  /**
+   * Move down a row, scrolling at the bottom of the scroll region
+   */
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.cursor.row === this.bottom) {
+      this.scrollUp(1);
+    } else if (this.cursor.row < this.rows - 1) {
+      this.cursor.row++;
+    }
+  }
+  
+  /**
+   * Move up a row, scrolling back at the top of the scroll region
+   */
+  reverseIndex() {
+    this.wrapPending = false;
+    if (this.cursor.row === this.top) {
+      this.scrollDown(1);
+    } else if (this.cursor.row > 0) {
+      this.cursor.row--;
+    }
+  }
+  
+  // ==================== Cursor ====================
+  
+  /**
+   * Move the cursor for a CSI sequence
+   * @param {string} code - H/f (position), A-D (up, down, forward, back),
+   *   E/F (next/previous line), G (column), d (row)
+   * @param {Array} params - 1-based numbers, null where left out
+   */
+  moveCursor(code, params = []) {
+    const n = Math.max(1, params[0] || 1);
+    const cursor = this.cursor;
+    this.wrapPending = false;
+    this.scrolled = 0;
+    
+    switch (code) {
+      case 'H':
+      case 'f':
+        cursor.row = (params[0] || 1) - 1;
+        cursor.col = (params[1] || 1) - 1;
+        break;
+      case 'A':
+        cursor.row = Math.max(cursor.row >= this.top ? this.top : 0, cursor.row - n);
+        break;
+      case 'B':
+        cursor.row = Math.min(cursor.row <= this.bottom ? this.bottom : this.rows - 1, cursor.row + n);
+        break;
+      case 'C':
+        cursor.col += n;
+        break;
+      case 'D':
+        cursor.col -= n;
+        break;
+      case 'E':
+        cursor.row = Math.min(this.bottom, cursor.row + n);
+        cursor.col = 0;
+        break;
+      case 'F':
+        cursor.row = Math.max(this.top, cursor.row - n);
+        cursor.col = 0;
+        break;
+      case 'G':
+        cursor.col = n - 1;
+        break;
+      case 'd':
+        cursor.row = n - 1;
+        break;
+    }
+    
+    cursor.row = Math.min(this.rows - 1, Math.max(0, cursor.row));
+    cursor.col = Math.min(this.cols - 1, Math.max(0, cursor.col));
+  }
+  
+  /**
+   * Other screen controls
+   * @param {string} code - CSI final byte (r, S, T, L, M, P, @, X, s, u)
+   *   or IND, RI, NEL for the ESC D, ESC M and ESC E sequences
+   * @param {Array} params - 1-based numbers, null where left out
+   */
+  control(code, params = []) {
+    const n = Math.max(1, params[0] || 1);
+    this.scrolled = 0;
+    
+    switch (code) {
+      case 'r': { // Scroll region, which also homes the cursor
+        const top = (params[0] || 1) - 1;
+        const bottom = Math.min(this.rows, params[1] || this.rows) - 1;
+        if (top < bottom) {
+          this.top = top;
+          this.bottom = bottom;
+          this.moveCursor('H');
+        }
+        break;
+      }
+      case 'S':
+        this.scrollUp(n);
+        break;
+      case 'T':
+        this.scrollDown(n);
+        break;
+      case 'L': // Insert lines
+      case 'M': // Delete lines
+        if (this.cursor.row >= this.top && this.cursor.row <= this.bottom) {
+          this.shiftRows(this.cursor.row, this.bottom, code === 'L' ? n : -n);
+          this.cursor.col = 0;
+        }
+        break;
+      case 'P': // Delete characters
+      case '@': // Insert characters
+      case 'X': { // Erase characters
+        const { row, col } = this.cursor;
+        const cells = this.lines[row].cells;
+        if (code === 'P') {
+          cells.splice(col, n);
+        } else if (code === '@') {
+          cells.splice(col, 0, ...new Array(n).fill(null));
+          cells.length = Math.min(cells.length, this.cols);
+        } else {
+          cells.fill(null, col, Math.min(col + n, cells.length));
+        }
+        this.lines[row].dirty = true;
+        break;
+      }
+      case 's':
+        this.saved = {
+          ...this.cursor,
+          inRegion: this.cursor.row >= this.top && this.cursor.row <= this.bottom
+        };
+        break;
+      case 'u':
+        if (this.saved) {
+          this.restoreCursor();
+        }
+        break;
+      case 'IND':
+        this.lineFeed();
+        break;
+      case 'RI':
+        this.reverseIndex();
+        break;
+      case 'NEL':
+        this.newLine();
+        break;
+    }
+  }
+  
+  // ==================== Erasing and Scrolling ====================
+  
+  /**
+   * Erase in display (ED)
+   * @param {number} mode - 0 cursor to end, 1 start to cursor, 2 and 3 everything
+   */
+  eraseDisplay(mode = 0) {
+    const { row } = this.cursor;
+    this.scrolled = 0;
+    
+    if (mode === 0 || mode === 1) {
+      this.eraseLine(mode);
+    }
+    for (let i = 0; i < this.rows; i++) {
+      if (mode === 0 ? i > row : mode === 1 ? i < row : true) {
+        this.lines[i].cells = [];
+        this.lines[i].dirty = true;
+      }
+    }
+  }
+  
+  /**
+   * Erase in line (EL)
+   * @param {number} mode - 0 cursor to end, 1 start to cursor, 2 whole line
+   */
+  eraseLine(mode = 0) {
+    const { row, col } = this.cursor;
+    const line = this.lines[row];
+    
+    if (mode === 0) {
+      line.cells.length = Math.min(line.cells.length, col);
+    } else if (mode === 1) {
+      line.cells.fill(null, 0, Math.min(col + 1, line.cells.length));
+    } else {
+      line.cells = [];
+    }
+    line.dirty = true;
+  }
+  
+  /**
+   * Scroll the region up, adding blank rows at its bottom
+   * A region starting at the top row scrolls its rows off into the
+   * scrollback, like a whole screen does; otherwise they are lost.
+   */
+  scrollUp(count) {
+    count = Math.min(count, this.bottom - this.top + 1);
+    
+    if (this.top === 0) {
+      for (let i = 0; i < count; i++) {
+        this.history.push(this.lines.shift());
+        this.lines.splice(this.bottom, 0, this.blankRow());
+      }
+      if (this.bottom === this.rows - 1) {
+        this.scrolled += count;
+      }
+    } else {
+      this.shiftRows(this.top, this.bottom, -count);
+    }
+  }
+  
+  /**
+   * Scroll the region down, adding blank rows at its top
+   */
+  scrollDown(count) {
+    this.shiftRows(this.top, this.bottom, Math.min(count, this.bottom - this.top + 1));
+  }
+  
+  /**
+   * Move the contents of rows first..last down (count > 0) or up (count < 0),
+   * blanking the rows left behind
+   * The rows keep their scrollback lines; only the cells move.
+   */
+  shiftRows(first, last, count) {
+    const cells = this.lines.slice(first, last + 1).map(row => row.cells);
+    for (let i = first; i <= last; i++) {
+      const from = i - first - count;
+      this.lines[i].cells = from >= 0 && from < cells.length ? cells[from] : [];
+      this.lines[i].dirty = true;
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScreenBuffer;
+}
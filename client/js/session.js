@@ -0,0 +1,948 @@
+/**
+ * MUD3 Session
+ * One MUD connection: its WebSocket, terminal, protocol state, history and status bar
+ */
+
+class MUD3Session {
+  /**
+   * @param {MUD3Client} client - Owner of the shared settings, aliases and triggers
+   * @param {Object} options
+   * @param {string} options.wsUrl - Proxy WebSocket URL
+   * @param {Object} options.profile - Character profile to connect with
+   * @param {HTMLElement} options.terminalFrame - Where the session's terminal goes
+   * @param {HTMLElement} options.statusBars - Where the session's status bar goes
+   * @param {HTMLTemplateElement} options.statusBarTemplate
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = {
+      autoReconnect: options.autoReconnect !== false,
+      reconnectDelay: options.reconnectDelay || 3000,
+      ...options
+    };
+    
+    this.id = options.id;
+    this.ws = null;
+    this.connected = false;
+    this.status = 'disconnected';
+    this.reconnectTimer = null;
+    
+    // Session resume: token from the proxy and bytes received so far
+    this.resumeToken = null;
+    this.bytesReceived = 0;
+    
+    // Components
+    this.terminal = null;
+    this.ansiParser = new ANSIParser();
+    this.mud2 = new MUD2Protocol();
+    this.flushTimer = null;
+    
+    // UI elements
+    this.elements = {};
+    
+    // Command history, and the unsent input while another tab is shown
+    this.history = [];
+    this.historyIndex = -1;
+    this.maxHistory = 100;
+    this.draft = '';
+    
+    // Lines received while in a background tab
+    this.unread = 0;
+    this.active = false;
+    
+    // Automapper, stored in IndexedDB per character
+    this.mapper = new AutoMapper();
+    this.mapName = 'default';
+    this.mapSaveTimer = null;
+    
+    // Stat history for the current session
+    this.statHistory = new StatHistory();
+    this.statSaveTimer = null;
+    this.eventLine = false;
+    
+    // Session log
+    this.logger = new SessionLogger(client.storage, {
+      maxBytes: client.settings.logMaxMB * 1024 * 1024
+    });
+    
+    // Speedwalking over the mapped rooms
+    this.walker = new SpeedWalker();
+    
+    // Tab completion from what the game has shown
+    this.completer = new TabCompleter();
+    
+    // Character profile: its aliases come before the shared ones
+    this.profile = null;
+    this.aliases = client.aliases;
+    this.autoLogin = null;
+    
+    // Plain text of the output line being received (for triggers)
+    this.lineText = '';
+    
+    // Event callbacks
+    this.onStatusChange = null; // (session) - connection, account or mode changed
+    this.onActivity = null;     // (session) - output arrived
+    this.onMapChange = null;    // (session)
+    this.onStatsChange = null;  // (session)
+    this.onDreamword = null;    // (session, word)
+    
+    this.init();
+    if (options.profile) {
+      this.setProfile(options.profile);
+    }
+  }
+  
+  init() {
+    const { terminalFrame, statusBars, statusBarTemplate } = this.options;
+    
+    const container = document.createElement('div');
+    container.className = 'terminal-container';
+    container.hidden = true;
+    terminalFrame.appendChild(container);
+    
+    const statusBar = statusBarTemplate.content.firstElementChild.cloneNode(true);
+    statusBar.hidden = true;
+    statusBars.appendChild(statusBar);
+    
+    const stat = (name) => statusBar.querySelector(`[data-stat="${name}"]`);
+    this.elements = {
+      terminal: container,
+      statusBar,
+      statSta: stat('sta'),
+      statDex: stat('dex'),
+      statStr: stat('str'),
+      statMag: stat('mag'),
+      statPts: stat('pts'),
+      statWeather: stat('weather'),
+      statDreamword: stat('dreamword'),
+      statReset: stat('reset'),
+      statResetGroup: statusBar.querySelector('.stat-reset'),
+      statConditions: statusBar.querySelector('.stat-conditions'),
+      dreamwordBadge: statusBar.querySelector('.stat-dreamword')
+    };
+    
+    // Initialize terminal
+    this.terminal = new Terminal(container, {
+      fontSize: this.client.settings.fontSize + 'px'
+    });
+    
+    // Set up MUD2 callbacks
+    this.mud2.onStatsUpdate = (stats, previous) => {
+      this.updateStatsDisplay(stats);
+      if (previous) {
+        this.showStatDeltas(stats, previous);
+        this.statHistory.record(stats);
+      }
+    };
+    this.mud2.onModeChange = (mode) => this.handleModeChange(mode);
+    this.mud2.onDreamword = (word) => this.handleDreamword(word);
+    this.mud2.onAccount = (account) => this.handleAccount(account);
+    
+    // Automapper
+    this.mapper.onChange = () => {
+      this.changed('onMapChange');
+      this.scheduleMapSave();
+    };
+    this.loadMap();
+    
+    // Stat graphs
+    this.statHistory.onChange = () => {
+      this.changed('onStatsChange');
+      this.scheduleStatSave();
+    };
+    
+    // Speedwalk steps wait for the mapper to see each room
+    this.walker.onSend = (move) => this.sendLine(move);
+    this.walker.onStop = (reason) => {
+      this.terminal.writeSystem(reason ? `Speedwalk stopped: ${reason}` : 'Speedwalk complete.');
+    };
+    this.mapper.onArrive = () => this.walker.arrived();
+    this.mapper.onMoveFailed = (dir, line) => this.walker.stop(line);
+    
+    // Keep the server informed of the window size
+    this.terminal.onResize = (size) => this.sendWindowSize(size);
+    
+    // Welcome message
+    this.terminal.writeSystem('🏰 MUD3 Client - Welcome to The Land!');
+    this.terminal.writeSystem('Click "Connect" or press Enter to connect to MUDII.');
+  }
+  
+  /**
+   * Tab label: the profile, or the account once known
+   */
+  getTitle() {
+    return this.profile?.name || this.mud2.account.id || `Session ${this.id}`;
+  }
+  
+  /**
+   * Shared settings with the profile's overrides applied
+   */
+  get settings() {
+    return { ...this.client.settings, ...this.profile?.settings };
+  }
+  
+  /**
+   * Connect with a character profile from now on
+   * @param {Object} profile
+   * @param {string} password - Decrypted password for auto-login, if any
+   */
+  setProfile(profile, password = '') {
+    this.profile = profile;
+    this.aliases = new AliasManager(profile.aliases, this.client.aliases);
+    this.autoLogin = null;
+    
+    if (profile.autoLogin && profile.account) {
+      this.autoLogin = new AutoLogin({ account: profile.account, password });
+      this.autoLogin.onSend = (text, field) => {
+        this.terminal.writeSystem(field === 'password'
+          ? 'Auto-login: sending password.'
+          : `Auto-login: sending account ${text}.`);
+        this.send(text + '\r\n');
+      };
+    }
+    this.changed('onStatusChange');
+  }
+  
+  /**
+   * Proxy to connect through: the profile's, or the default
+   */
+  getProxyUrl() {
+    return this.profile?.wsUrl || this.options.wsUrl;
+  }
+  
+  /**
+   * Show or hide this session's terminal and status bar
+   */
+  setActive(active) {
+    this.active = active;
+    this.elements.terminal.hidden = !active;
+    this.elements.statusBar.hidden = !active;
+    
+    if (active) {
+      this.unread = 0;
+      this.terminal.scheduleResize();
+      this.terminal.scrollToBottom();
+    }
+  }
+  
+  /**
+   * Close the connection and remove the session's elements
+   */
+  destroy() {
+    this.disconnect();
+    this.logger.flush();
+    
+    // Write out saves still waiting on their timers (saving clears them)
+    if (this.mapSaveTimer) this.saveMap();
+    if (this.statSaveTimer) this.saveStats();
+    
+    this.elements.terminal.remove();
+    this.elements.statusBar.remove();
+  }
+  
+  changed(callback) {
+    if (this[callback]) {
+      this[callback](this);
+    }
+  }
+  
+  // ==================== History ====================
+  
+  /**
+   * Step through the history, returning the line to show
+   */
+  navigateHistory(direction) {
+    if (this.history.length === 0) return null;
+    
+    this.historyIndex += direction;
+    
+    if (this.historyIndex < 0) {
+      this.historyIndex = -1;
+      return '';
+    }
+    
+    if (this.historyIndex >= this.history.length) {
+      this.historyIndex = this.history.length - 1;
+    }
+    
+    return this.history[this.history.length - 1 - this.historyIndex];
+  }
+  
+  addToHistory(cmd) {
+    if (!cmd.trim()) return;
+    
+    // Don't add duplicates
+    if (this.history[this.history.length - 1] !== cmd) {
+      this.history.push(cmd);
+      if (this.history.length > this.maxHistory) {
+        this.history.shift();
+      }
+    }
+    this.historyIndex = -1;
+  }
+  
+  // ==================== Connection ====================
+  
+  connect() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      return;
+    }
+    
+    this.terminal.writeSystem(`Connecting to ${this.getProxyUrl()}...`);
+    this.setConnectionStatus('connecting');
+    
+    try {
+      this.ws = new WebSocket(this.getConnectUrl());
+      this.ws.binaryType = 'arraybuffer';
+      
+      this.ws.onopen = () => this.onOpen();
+      this.ws.onmessage = (e) => this.onMessage(e);
+      this.ws.onclose = (e) => this.onClose(e);
+      this.ws.onerror = (e) => this.onError(e);
+    } catch (err) {
+      this.terminal.writeSystem(`Connection error: ${err.message}`);
+      this.setConnectionStatus('disconnected');
+    }
+  }
+  
+  /**
+   * WebSocket URL, asking to resume the previous session if we have one
+   * or for the profile's target MUD
+   */
+  getConnectUrl() {
+    const url = new URL(this.getProxyUrl());
+    
+    if (this.resumeToken) {
+      url.searchParams.set('resume', this.resumeToken);
+      url.searchParams.set('offset', this.bytesReceived);
+    } else if (this.profile?.target) {
+      url.searchParams.set('target', this.profile.target);
+    }
+    return url.toString();
+  }
+  
+  disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    // A normal close tells the proxy not to hold the session
+    this.resumeToken = null;
+    this.logger.stop();
+    this.statHistory.stop();
+    
+    if (this.ws) {
+      this.ws.close(1000);
+      this.ws = null;
+    }
+    
+    this.connected = false;
+    this.setConnectionStatus('disconnected');
+  }
+  
+  toggleConnection() {
+    if (this.connected) {
+      this.disconnect();
+    } else {
+      this.connect();
+    }
+  }
+  
+  onOpen() {
+    this.connected = true;
+    this.terminal.writeSystem('Connected to proxy server.');
+    this.setConnectionStatus('connected');
+  }
+  
+  onMessage(event) {
+    // Check if it's a status message (JSON)
+    if (typeof event.data === 'string') {
+      try {
+        const msg = JSON.parse(event.data);
+        this.handleStatusMessage(msg);
+        return;
+      } catch {
+        // Not JSON, treat as text
+      }
+    }
+    
+    // Binary data from MUD
+    const data = new Uint8Array(event.data);
+    this.bytesReceived += data.length;
+    
+    // Process through MUD2 protocol handler
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.showParsed(this.mud2.parse(data));
+    
+    // Bytes held back as the start of a client code may be text after
+    // all (a prompt ending in £) - show them if nothing follows soon
+    if (this.mud2.pending) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.showParsed(this.mud2.flush());
+      }, 250);
+    }
+  }
+  
+  /**
+   * Write out the result of mud2.parse(), applying its commands
+   */
+  showParsed({ cleanData, commands }) {
+    const text = this.ansiParser.bytesToString(cleanData);
+    
+    // Parse ANSI, applying each MUD2 command at its place in the text.
+    // The log gets each command as the ANSI that has the same effect.
+    const segments = [];
+    let start = 0;
+    for (const cmd of commands) {
+      this.logger.write(text.slice(start, cmd.offset));
+      segments.push(...this.ansiParser.parse(cleanData.subarray(start, cmd.offset)));
+      start = cmd.offset;
+      
+      const sgr = this.ansiParser.getSGR();
+      this.handleMUD2Command(cmd, segments);
+      this.logger.write(this.commandToANSI(cmd, sgr));
+    }
+    this.logger.write(text.slice(start));
+    segments.push(...this.ansiParser.parse(cleanData.subarray(start)));
+    this.writeOutput(segments);
+    
+    // Try to parse stats from visible text
+    this.mud2.parseVisibleStats(text);
+  }
+  
+  handleStatusMessage(msg) {
+    switch (msg.status) {
+      case 'connected':
+        if (this.resumeToken) {
+          this.terminal.writeSystem('Previous session could not be resumed.');
+        }
+        this.terminal.writeSystem(`Connected to MUD server: ${msg.host}`);
+        
+        // Fresh stream - drop parser state from any previous session
+        this.resumeToken = msg.token || null;
+        this.bytesReceived = 0;
+        this.mud2.resetStream();
+        this.mud2.resetAccount();
+        this.ansiParser.reset();
+        this.autoLogin?.reset();
+        this.changed('onStatusChange');
+        
+        if (this.settings.logging) {
+          this.logger.start(this.getCharacterName());
+        }
+        this.statHistory.start(this.getCharacterName());
+        
+        // Send window size (the proxy relays it once NAWS is agreed)
+        this.sendWindowSize(this.terminal.getSize());
+        break;
+      
+      case 'resumed':
+        this.terminal.writeSystem(`Session resumed: ${msg.host}`);
+        
+        // The replay that follows starts here in the output stream
+        if (Number.isFinite(msg.offset)) {
+          this.bytesReceived = msg.offset;
+        }
+        if (!msg.complete) {
+          this.terminal.writeSystem('Some output was lost while disconnected.');
+          this.mud2.resetStream();
+        }
+        this.sendWindowSize(this.terminal.getSize());
+        break;
+      
+      case 'disconnected':
+        this.terminal.writeSystem('Disconnected from MUD server.');
+        this.resumeToken = null;
+        this.logger.stop();
+        this.statHistory.stop();
+        this.connected = false;
+        this.setConnectionStatus('disconnected');
+        this.scheduleReconnect();
+        break;
+      
+      case 'error':
+        this.terminal.writeSystem(`Error: ${msg.message}`);
+        break;
+    }
+  }
+  
+  /**
+   * Apply a MUD2 command to the output
+   * Colour changes go to the ANSI parser; screen changes are added to
+   * segments so they happen in order with the text.
+   */
+  handleMUD2Command(cmd, segments) {
+    switch (cmd.type) {
+      case 'clear':
+        segments.push({ clear: 'screen' });
+        break;
+      case 'clearLine':
+        segments.push({ clear: 'line' });
+        break;
+      case 'reverse':
+        this.ansiParser.reverse = cmd.value;
+        break;
+      case 'promptStart':
+        this.ansiParser.reset();
+        break;
+      case 'color':
+      case 'colorDirect':
+      case 'magic':
+      case 'dreamword':
+        this.ansiParser.setColors(cmd.fg, cmd.bg);
+        break;
+      case 'combat':
+        this.ansiParser.setColors(cmd.fg, cmd.bg);
+        this.walker.stop('combat');
+        break;
+      case 'event':
+        this.ansiParser.setColors(cmd.fg, cmd.bg);
+        this.walker.stop('event');
+        this.eventLine = true;
+        break;
+    }
+  }
+  
+  /**
+   * ANSI for the session log with the same effect as a MUD2 command
+   * @param {string} before - ansiParser.getSGR() from before the command
+   */
+  commandToANSI(cmd, before) {
+    if (cmd.type === 'clear') return '\x1b[H\x1b[2J';
+    if (cmd.type === 'clearLine') return '\r\x1b[K';
+    
+    const after = this.ansiParser.getSGR();
+    return after === before ? '' : after;
+  }
+  
+  /**
+   * Write output segments, running triggers on each completed line
+   */
+  writeOutput(segments) {
+    let pending = [];
+    let lines = 0;
+    this.terminal.screenMode = this.settings.screenMode;
+    
+    for (const seg of segments) {
+      if (!seg.newline) {
+        pending.push(seg);
+        if (seg.text) {
+          this.lineText += seg.text;
+        } else if (seg.clear) {
+          this.lineText = '';
+        }
+        continue;
+      }
+      
+      this.terminal.writeSegments(pending);
+      pending = [];
+      
+      const result = this.client.triggers.process(this.lineText);
+      this.mapper.onLine(this.lineText);
+      this.completer.onLine(this.lineText);
+      this.autoLogin?.check(this.lineText);
+      if (this.eventLine) {
+        this.statHistory.onEventLine(this.lineText);
+        this.eventLine = false;
+      }
+      this.lineText = '';
+      
+      if (result.highlight) {
+        this.terminal.highlightLine(result.highlight);
+      }
+      if (result.gag) {
+        this.terminal.gagLine();
+      } else {
+        this.terminal.writeSegments([seg]);
+        lines++;
+      }
+      
+      this.applyTriggerEffects(result);
+    }
+    
+    if (pending.length) {
+      this.terminal.writeSegments(pending);
+    }
+    
+    // Login prompts wait on an unfinished line
+    if (this.lineText) {
+      this.autoLogin?.check(this.lineText, true);
+    }
+    
+    if (lines && !this.active) {
+      this.unread += lines;
+      this.changed('onActivity');
+    }
+  }
+  
+  /**
+   * Carry out trigger side effects once the line has been written
+   */
+  applyTriggerEffects(result) {
+    for (const src of result.sounds) {
+      this.client.playSound(src);
+    }
+    for (const text of result.notifications) {
+      this.client.notify(text, this);
+    }
+    for (const cmd of result.commands) {
+      this.sendLines(cmd);
+    }
+    if (result.changed) {
+      this.client.saveSettings();
+    }
+  }
+  
+  onClose(event) {
+    this.connected = false;
+    this.terminal.writeSystem('Connection closed.');
+    this.setConnectionStatus('disconnected');
+    
+    if (this.options.autoReconnect && !event.wasClean) {
+      this.scheduleReconnect();
+    }
+  }
+  
+  onError(event) {
+    this.terminal.writeSystem('Connection error occurred.');
+    console.error('WebSocket error:', event);
+  }
+  
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    
+    this.terminal.writeSystem(`Reconnecting in ${this.options.reconnectDelay / 1000} seconds...`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.options.reconnectDelay);
+  }
+  
+  // ==================== Sending ====================
+  
+  sendCommand(command) {
+    if (!this.connected) {
+      this.terminal.writeSystem('Not connected. Press Enter to connect.');
+      return;
+    }
+    
+    this.addToHistory(command);
+    this.sendLines(command);
+  }
+  
+  /**
+   * Expand aliases in a command line and send the result
+   */
+  sendLines(command) {
+    let commands;
+    try {
+      commands = this.aliases.expand(command);
+    } catch (err) {
+      this.terminal.writeSystem(err.message);
+      return;
+    }
+    
+    for (const line of commands) {
+      // Client commands (#3n2e, #go, #stop) never reach the server
+      if (line.startsWith('#')) {
+        this.runClientCommand(line);
+        continue;
+      }
+      
+      this.sendLine(line);
+    }
+  }
+  
+  /**
+   * Send one line as typed, with no alias expansion
+   */
+  sendLine(line) {
+    this.mapper.onCommand(line);
+    
+    // Local echo (optional)
+    if (this.settings.localEcho) {
+      this.terminal.write(line + '\n', 'local-echo');
+    }
+    
+    // Send to server with CRLF
+    this.send(line + '\r\n');
+  }
+  
+  /**
+   * Handle a #-command: a speedwalk like "#3n2e zw", "#go <room>" or "#stop"
+   */
+  runClientCommand(line) {
+    const text = line.slice(1).trim();
+    const [word = '', ...rest] = text.split(/\s+/);
+    
+    switch (word.toLowerCase()) {
+      case 'go': {
+        const target = rest.join(' ');
+        const path = target ? this.mapper.findPath(target) : null;
+        if (!path) {
+          this.terminal.writeSystem(`No known route to "${target}".`);
+        } else if (path.length) {
+          this.terminal.writeSystem(`Walking to ${target}: ${path.join(' ')}`);
+          this.walker.start(path);
+        }
+        break;
+      }
+      
+      case 'stop':
+        this.walker.stop('stopped by user');
+        break;
+      
+      default: {
+        const moves = this.walker.parse(text);
+        if (moves) {
+          this.walker.start(moves);
+        } else {
+          this.terminal.writeSystem(`Unknown client command: #${word}`);
+        }
+      }
+    }
+  }
+  
+  send(data) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(data);
+    }
+  }
+  
+  /**
+   * Tell the proxy our terminal size in character cells
+   */
+  sendWindowSize({ cols, rows }) {
+    this.send(JSON.stringify({ type: 'naws', width: cols, height: rows }));
+  }
+  
+  sendRaw(bytes) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(bytes);
+    }
+  }
+  
+  // ==================== Status Bar ====================
+  
+  setConnectionStatus(status) {
+    this.status = status;
+    this.changed('onStatusChange');
+  }
+  
+  updateStatsDisplay(stats) {
+    const { statSta, statDex, statStr, statMag, statPts, statWeather } = this.elements;
+    
+    if (statSta) {
+      statSta.textContent = `${stats.stamina}/${stats.maxStamina}`;
+      statSta.className = this.getStatClass(stats.stamina, stats.maxStamina);
+    }
+    if (statDex) {
+      statDex.textContent = `${stats.dexterity}/${stats.maxDexterity}`;
+    }
+    if (statStr) {
+      statStr.textContent = `${stats.strength}/${stats.maxStrength}`;
+    }
+    if (statMag) {
+      statMag.textContent = stats.magic;
+    }
+    if (statPts) {
+      statPts.textContent = stats.score.toLocaleString();
+    }
+    if (statWeather) {
+      statWeather.textContent = stats.weather || '—';
+      statWeather.className = 'weather-' + (stats.weather || 'unknown');
+    }
+    
+    this.elements.statConditions?.querySelectorAll('[data-condition]').forEach(icon => {
+      icon.hidden = !stats[icon.dataset.condition];
+    });
+    this.updateResetCountdown();
+  }
+  
+  /**
+   * Time left to the next reset, as last reported by FES
+   */
+  updateResetCountdown() {
+    const { statReset, statResetGroup } = this.elements;
+    const resetAt = this.mud2.stats.resetAt;
+    if (!statReset || !resetAt) return;
+    
+    const seconds = Math.max(0, Math.round((resetAt - Date.now()) / 1000));
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = String(seconds % 60).padStart(2, '0');
+    
+    statResetGroup.hidden = false;
+    statReset.textContent = h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    statReset.className = seconds <= 60 ? 'stat-value stat-critical' :
+      seconds <= 300 ? 'stat-value stat-low' : 'stat-value';
+  }
+  
+  /**
+   * Flash the change in each stat (e.g. "-12 Sta") after an FES update
+   */
+  showStatDeltas(stats, previous) {
+    const { statSta, statDex, statStr, statMag, statPts } = this.elements;
+    const changes = [
+      [statSta, 'stamina', 'Sta'],
+      [statDex, 'dexterity', 'Dex'],
+      [statStr, 'strength', 'Str'],
+      [statMag, 'magic', 'Mag'],
+      [statPts, 'score', 'Pts']
+    ];
+    
+    // The first FES after connecting has nothing to compare against
+    if (!previous.maxStamina) return;
+    
+    for (const [element, key, label] of changes) {
+      const diff = stats[key] - previous[key];
+      if (!diff || !element) continue;
+      
+      const flash = document.createElement('span');
+      flash.className = `stat-delta ${diff > 0 ? 'stat-delta-up' : 'stat-delta-down'}`;
+      flash.textContent = `${diff > 0 ? '+' : ''}${diff.toLocaleString()} ${label}`;
+      flash.addEventListener('animationend', () => flash.remove());
+      element.parentElement.appendChild(flash);
+    }
+  }
+  
+  getStatClass(current, max) {
+    const ratio = current / max;
+    if (ratio <= 0.25) return 'stat-critical';
+    if (ratio <= 0.5) return 'stat-low';
+    if (ratio <= 0.75) return 'stat-medium';
+    return 'stat-good';
+  }
+  
+  handleModeChange(mode) {
+    // Client mode or the game has started, so the login is over
+    this.autoLogin?.disarm();
+    this.terminal.writeSystem(`[Mode: ${mode}]`);
+    this.changed('onStatusChange');
+  }
+  
+  /**
+   * Account details from the client-mode header
+   */
+  handleAccount(account) {
+    // Sent as client mode starts, even when the mode was already set on
+    // an earlier connection
+    this.autoLogin?.disarm();
+    
+    if (account.id) {
+      this.logger.setCharacter(account.id);
+      this.statHistory.setCharacter(account.id);
+      
+      // Each character keeps its own map
+      if (account.id !== this.mapName) {
+        this.mapName = account.id;
+        this.loadMap();
+      }
+    }
+    this.changed('onStatusChange');
+  }
+  
+  /**
+   * A dreamword arrived: show it and remember it for this character
+   */
+  handleDreamword(word) {
+    const { dreamwordBadge, statDreamword } = this.elements;
+    if (statDreamword) {
+      statDreamword.textContent = word;
+    }
+    if (dreamwordBadge) {
+      dreamwordBadge.hidden = false;
+      dreamwordBadge.classList.remove('stat-new');
+      void dreamwordBadge.offsetWidth; // Restart the animation
+      dreamwordBadge.classList.add('stat-new');
+    }
+    
+    const dreamwords = this.client.settings.dreamwords;
+    const character = this.getCharacterName();
+    const history = dreamwords[character] || [];
+    history.unshift({ word, time: Date.now() });
+    dreamwords[character] = history.slice(0, 50);
+    this.client.saveSettings();
+    
+    if (this.onDreamword) {
+      this.onDreamword(this, word);
+    }
+  }
+  
+  /**
+   * Name logs, maps and dreamwords are filed under
+   */
+  getCharacterName() {
+    return this.mud2.account.id || 'unknown';
+  }
+  
+  // ==================== Storage ====================
+  
+  /**
+   * Load this character's map, keeping the current one if none is stored yet
+   */
+  loadMap() {
+    this.client.storage.get('maps', this.mapName)
+      .then(record => {
+        if (record) {
+          this.mapper.load(record.map);
+        }
+        this.changed('onMapChange');
+      })
+      .catch(err => console.warn('Failed to load map:', err));
+  }
+  
+  scheduleMapSave() {
+    clearTimeout(this.mapSaveTimer);
+    this.mapSaveTimer = setTimeout(() => this.saveMap(), 1000);
+  }
+  
+  saveMap() {
+    clearTimeout(this.mapSaveTimer);
+    this.mapSaveTimer = null;
+    this.client.storage.put('maps', {
+      name: this.mapName,
+      map: this.mapper.toJSON(),
+      updated: Date.now()
+    }).catch(err => console.warn('Failed to save map:', err));
+  }
+  
+  scheduleStatSave() {
+    const session = this.statHistory.toJSON();
+    if (!session) return;
+    
+    clearTimeout(this.statSaveTimer);
+    this.statSaveTimer = setTimeout(() => this.saveStats(session), 1000);
+  }
+  
+  /**
+   * Save a stat session, keeping only the most recent ones
+   */
+  async saveStats(session = this.statHistory.toJSON()) {
+    clearTimeout(this.statSaveTimer);
+    this.statSaveTimer = null;
+    if (!session) return;
+    
+    const storage = this.client.storage;
+    try {
+      await storage.put('statSessions', session);
+      const sessions = await storage.getAll('statSessions');
+      sessions.sort((a, b) => b.started - a.started);
+      for (const old of sessions.slice(20)) {
+        await storage.delete('statSessions', old.id);
+      }
+    } catch (err) {
+      console.warn('Failed to save stat history:', err);
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MUD3Session;
+}
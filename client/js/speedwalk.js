@@ -0,0 +1,120 @@
+/**
+ * Speedwalker for MUD3
+ * Sends a queue of movement commands, one room at a time
+ */
+
+class SpeedWalker {
+  constructor(options = {}) {
+    this.options = {
+      delay: options.delay || 300,               // Minimum ms between steps
+      stepTimeout: options.stepTimeout || 10000, // Give up if no room arrives
+      ...options
+    };
+    
+    // Direction words accepted in speedwalk strings, longest first so
+    // "ne" is not read as "n" + "e"
+    this.words = [
+      'northeast', 'northwest', 'southeast', 'southwest', 'swampward',
+      'north', 'south', 'swamp', 'east', 'west', 'down', 'out',
+      'ne', 'nw', 'se', 'sw', 'zw', 'up', 'in',
+      'n', 's', 'e', 'w', 'u', 'd'
+    ];
+    
+    this.queue = [];
+    this.walking = false;
+    this.lastSent = 0;
+    this.stepTimer = null;
+    this.timeoutTimer = null;
+    
+    // Event callbacks
+    this.onSend = null; // (command)
+    this.onStop = null; // (reason) - reason is null when the walk completed
+  }
+  
+  /**
+   * Expand a speedwalk string such as "3n2e zw" into single moves
+   * @returns {string[]|null} Moves, or null if the text is not a speedwalk
+   */
+  parse(text) {
+    const token = new RegExp(`\\s*(\\d*)(${this.words.join('|')})`, 'iy');
+    const moves = [];
+    let pos = 0;
+    
+    text = text.trim();
+    while (pos < text.length) {
+      token.lastIndex = pos;
+      const match = token.exec(text);
+      if (!match) return null;
+      
+      const count = Math.min(parseInt(match[1], 10) || 1, 100);
+      for (let i = 0; i < count; i++) {
+        moves.push(match[2].toLowerCase());
+      }
+      pos = token.lastIndex;
+    }
+    
+    return moves.length ? moves : null;
+  }
+  
+  /**
+   * Start walking (replaces any walk in progress)
+   */
+  start(moves) {
+    this.stop(null, true);
+    this.queue = [...moves];
+    this.walking = true;
+    this.sendNext();
+  }
+  
+  /**
+   * The previous move reached a room - continue after the throttle delay
+   */
+  arrived() {
+    if (!this.walking) return;
+    
+    clearTimeout(this.timeoutTimer);
+    if (!this.queue.length) {
+      this.stop(null);
+      return;
+    }
+    
+    const wait = Math.max(0, this.lastSent + this.options.delay - Date.now());
+    this.stepTimer = setTimeout(() => this.sendNext(), wait);
+  }
+  
+  sendNext() {
+    const move = this.queue.shift();
+    this.lastSent = Date.now();
+    
+    this.timeoutTimer = setTimeout(() => {
+      this.stop('no room arrived');
+    }, this.options.stepTimeout);
+    
+    if (this.onSend) {
+      this.onSend(move);
+    }
+  }
+  
+  /**
+   * Stop walking
+   * @param {string|null} reason - Why the walk stopped (null when finished)
+   * @param {boolean} silent - Don't report the stop
+   */
+  stop(reason, silent = false) {
+    if (!this.walking) return;
+    
+    clearTimeout(this.stepTimer);
+    clearTimeout(this.timeoutTimer);
+    this.walking = false;
+    this.queue = [];
+    
+    if (!silent && this.onStop) {
+      this.onStop(reason);
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpeedWalker;
+}
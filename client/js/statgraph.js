@@ -0,0 +1,104 @@
+/**
+ * Stat Graph for MUD3
+ * Renders a StatHistory session as an SVG line graph
+ */
+
+class StatGraph {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+    
+    this.options = {
+      padding: options.padding || 24,
+      ...options
+    };
+    
+    this.svgNS = 'http://www.w3.org/2000/svg';
+    
+    // Lines drawn, with their legend labels
+    this.lines = {
+      stamina: 'Sta',
+      strength: 'Str',
+      dexterity: 'Dex',
+      magic: 'Mag'
+    };
+  }
+  
+  /**
+   * Draw stamina, strength, dexterity and magic over time
+   * @param {StatHistory} history
+   */
+  render(history) {
+    const { padding } = this.options;
+    this.container.innerHTML = '';
+    
+    const session = history.session;
+    if (!session || session.samples.length < 2) {
+      this.container.textContent = 'Not enough data yet.';
+      return;
+    }
+    
+    const width = this.container.clientWidth || 400;
+    const height = this.container.clientHeight || 140;
+    const svg = this.createElement('svg', {
+      class: 'stats-svg',
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`
+    });
+    
+    const samples = session.samples;
+    const first = samples[0][0];
+    const span = Math.max(1, samples[samples.length - 1][0] - first);
+    const top = Math.max(1, ...Object.keys(this.lines).map(field =>
+      Math.max(session.maxima[field] || 0, ...history.getSeries(field).map(([, v]) => v))));
+    
+    const x = (time) => padding + (time - first) / span * (width - padding * 2);
+    const y = (value) => height - padding - value / top * (height - padding * 2);
+    
+    // Axis and scale
+    svg.appendChild(this.createElement('line', {
+      class: 'stats-axis',
+      x1: padding, y1: height - padding, x2: width - padding, y2: height - padding
+    }));
+    svg.appendChild(this.createText(padding, padding - 8, String(top), 'stats-scale'));
+    svg.appendChild(this.createText(width - padding, height - 6,
+      `${Math.round(span / 60000)} min`, 'stats-scale', 'end'));
+    
+    let legendX = padding + 40;
+    for (const [field, label] of Object.entries(this.lines)) {
+      const points = history.getSeries(field)
+        .filter(([, value]) => Number.isFinite(value))
+        .map(([time, value]) => `${x(time).toFixed(1)},${y(value).toFixed(1)}`);
+      
+      svg.appendChild(this.createElement('polyline', {
+        class: `stats-line stats-line-${field}`,
+        points: points.join(' ')
+      }));
+      svg.appendChild(this.createText(legendX, padding - 8, label, `stats-legend stats-line-${field}`));
+      legendX += 40;
+    }
+    
+    this.container.appendChild(svg);
+  }
+  
+  createText(x, y, text, className, anchor = 'start') {
+    const el = this.createElement('text', { class: className, x, y, 'text-anchor': anchor });
+    el.textContent = text;
+    return el;
+  }
+  
+  createElement(tag, attrs = {}) {
+    const el = document.createElementNS(this.svgNS, tag);
+    for (const [name, value] of Object.entries(attrs)) {
+      el.setAttribute(name, value);
+    }
+    return el;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StatGraph;
+}
@@ -0,0 +1,171 @@
+/**
+ * Stat History for MUD3
+ * Records FES stat updates as a time series per session, with a summary
+ */
+
+class StatHistory {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSamples - Samples kept before the series is thinned
+   * @param {number} options.minInterval - ms between samples when nothing changed
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxSamples: options.maxSamples || 2000,
+      minInterval: options.minInterval || 60000,
+      ...options
+    };
+    
+    // Sample layout: [time, stamina, strength, dexterity, magic, score]
+    this.fields = ['stamina', 'strength', 'dexterity', 'magic', 'score'];
+    
+    // Lines that mean the player died (after an event code)
+    this.deathPatterns = [
+      /\byou (have )?died\b/i,
+      /\byou are dead\b/i,
+      /\byou have been killed\b/i,
+      /\bkilled you\b/i
+    ];
+    
+    this.session = null;
+    this.active = false;
+    
+    // Event callbacks
+    this.onChange = null; // (history)
+  }
+  
+  /**
+   * Begin recording a new session
+   */
+  start(character) {
+    const now = Date.now();
+    this.session = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      character,
+      started: now,
+      updated: now,
+      ended: null,
+      startScore: null,
+      score: null,
+      maxima: {},
+      deaths: 0,
+      samples: []
+    };
+    this.active = true;
+    this.changed();
+  }
+  
+  /**
+   * Show a stored session (e.g. the last one before a reload)
+   */
+  load(session) {
+    this.session = session;
+    this.active = false;
+    this.changed();
+  }
+  
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.session.ended = Date.now();
+    this.changed();
+  }
+  
+  setCharacter(character) {
+    if (this.active) {
+      this.session.character = character;
+      this.changed();
+    }
+  }
+  
+  /**
+   * Add a sample from an FES update
+   * Unchanged stats are only sampled every minInterval.
+   */
+  record(stats) {
+    if (!this.active) return;
+    
+    const session = this.session;
+    const now = Date.now();
+    const sample = [now, ...this.fields.map(f => stats[f])];
+    const last = session.samples[session.samples.length - 1];
+    
+    if (last && now - last[0] < this.options.minInterval &&
+        sample.every((value, i) => i === 0 || value === last[i])) {
+      return;
+    }
+    
+    session.samples.push(sample);
+    if (session.samples.length > this.options.maxSamples) {
+      // Halve the resolution rather than losing the start of the session
+      session.samples = session.samples.filter((s, i) => i % 2 === 0);
+    }
+    
+    if (session.startScore === null) {
+      session.startScore = stats.score;
+    }
+    session.score = stats.score;
+    session.maxima = {
+      stamina: stats.maxStamina,
+      strength: stats.maxStrength,
+      dexterity: stats.maxDexterity,
+      magic: stats.maxMagic
+    };
+    session.updated = now;
+    this.changed();
+  }
+  
+  /**
+   * Check a line that followed an event code for a death
+   */
+  onEventLine(line) {
+    if (this.active && this.deathPatterns.some(re => re.test(line))) {
+      this.session.deaths++;
+      this.changed();
+    }
+  }
+  
+  /**
+   * Points earned, points per hour, deaths and time played (ms)
+   */
+  getSummary() {
+    const session = this.session;
+    if (!session) return null;
+    
+    const end = this.active ? Date.now() : session.ended || session.updated;
+    const played = Math.max(0, end - session.started);
+    const points = session.score === null ? 0 : session.score - session.startScore;
+    
+    return {
+      character: session.character,
+      started: session.started,
+      points,
+      pointsPerHour: played >= 60000 ? Math.round(points / (played / 3600000)) : null,
+      deaths: session.deaths,
+      played
+    };
+  }
+  
+  /**
+   * Series for one field as [[time, value], ...]
+   */
+  getSeries(field) {
+    const index = this.fields.indexOf(field) + 1;
+    return this.session ? this.session.samples.map(s => [s[0], s[index]]) : [];
+  }
+  
+  changed() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+  
+  toJSON() {
+    return this.session;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StatHistory;
+}
@@ -0,0 +1,105 @@
+/**
+ * IndexedDB Storage for MUD3
+ * Promise wrapper around the client's object stores
+ */
+
+class MUD3Storage {
+  constructor(name = 'mud3') {
+    this.name = name;
+    this.version = 3;
+    this.db = null;
+    
+    // Object stores: key options and indexes
+    this.stores = {
+      maps: { keyPath: 'name' },
+      logSessions: { keyPath: 'id' },
+      logChunks: { autoIncrement: true, indexes: ['sessionId'] },
+      statSessions: { keyPath: 'id' }
+    };
+  }
+  
+  /**
+   * Open the database, creating any missing stores
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      
+      const request = indexedDB.open(this.name, this.version);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [store, { indexes = [], ...options }] of Object.entries(this.stores)) {
+          if (db.objectStoreNames.contains(store)) continue;
+          
+          const objectStore = db.createObjectStore(store, options);
+          for (const index of indexes) {
+            objectStore.createIndex(index, index);
+          }
+        }
+      };
+      
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Run a single request against a store
+   */
+  async request(store, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const request = fn(tx.objectStore(store));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  
+  get(store, key) {
+    return this.request(store, 'readonly', s => s.get(key));
+  }
+  
+  /**
+   * Get all records, optionally only those with an index value
+   */
+  getAll(store, index = null, key = undefined) {
+    return this.request(store, 'readonly', s => (index ? s.index(index) : s).getAll(key));
+  }
+  
+  /**
+   * Get all primary keys, optionally only those with an index value
+   */
+  getAllKeys(store, index = null, key = undefined) {
+    return this.request(store, 'readonly', s => (index ? s.index(index) : s).getAllKeys(key));
+  }
+  
+  put(store, value) {
+    return this.request(store, 'readwrite', s => s.put(value));
+  }
+  
+  /**
+   * Delete a record by key (or an IDBKeyRange of keys)
+   */
+  delete(store, key) {
+    return this.request(store, 'readwrite', s => s.delete(key));
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MUD3Storage;
+}
@@ -1,6 +1,15 @@
 /**
  * Terminal Emulator for MUD3
  * Renders text with ANSI colors and provides scrollback
+ *
+ * The scrollback is virtualized: lines are kept in memory as segment
+ * arrays and only the lines in view are turned into DOM elements.
+ *
+ * Scrolling back splits the view: a frozen pane opens on top while the
+ * live pane underneath keeps following new output.
+ *
+ * Output that positions the cursor switches to screen mode, where a
+ * ScreenBuffer grid the size of the window is drawn over the last lines.
  */
 
 class Terminal {
@@ -10,15 +19,56 @@ class Terminal {
       : container;
     
     this.options = {
-      maxLines: options.maxLines || 2000,
+      maxLines: options.maxLines || 100000,
       fontSize: options.fontSize || '14px',
       fontFamily: options.fontFamily || "'Cascadia Mono', 'Fira Code', 'Consolas', monospace",
+      resizeDelay: options.resizeDelay || 250,
+      overscan: options.overscan || 20,
+      splitRatio: options.splitRatio || 0.6,
       ...options
     };
     
+    // Scrollback: each line is { segments, length, width, highlight }, where
+    // width is in character cells, and each segment [text, fg, bg, className]
+    // with null for the defaults
     this.lines = [];
     this.currentLine = null;
-    this.scrollbackBuffer = [];
+    
+    // Wrapped rows above each line, to find lines by scroll position
+    this.rowTops = [];
+    this.totalRows = 0;
+    
+    // Old lines are dropped this many at a time, as that re-indexes the rows
+    this.trimChunk = 1000;
+    
+    // Wrap width and row height, measured once the terminal is shown
+    this.wrapCols = 0;
+    this.rowHeight = 0;
+    
+    // Lines changed since the last render, redrawn in both panes
+    this.dirty = new Set();
+    this.renderFrame = null;
+    
+    // Whether the scrollback pane is open, and its share of the height
+    this.split = false;
+    this.splitRatio = this.options.splitRatio;
+    
+    // Scrollback search: { pattern, matches, byLine, current } while active
+    this.search = null;
+    
+    // Screen mode: whether positioned output may switch to it, the grid
+    // behind the last lines, and the first line of the alternate screen
+    // (dropped when it ends) if one is open
+    this.screenMode = true;
+    this.screen = null;
+    this.altScreen = null;
+    
+    // Size in character cells, reported through onResize
+    this.cols = 0;
+    this.rows = 0;
+    this.resizeTimer = null;
+    this.onResize = null;
+    this.onSearchChange = null; // (result) - matches added or removed
     
     this.init();
   }
@@ -31,68 +81,1008 @@ class Terminal {
       font-family: ${this.options.fontFamily};
       font-size: ${this.options.fontSize};
       line-height: 1.4;
-      overflow-y: auto;
-      overflow-x: hidden;
-      white-space: pre-wrap;
-      word-wrap: break-word;
-      padding: 8px;
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+      white-space: break-spaces;
+      word-break: break-all;
       height: 100%;
       box-sizing: border-box;
     `;
     
-    this.content = document.createElement('div');
-    this.content.className = 'terminal-content';
-    this.element.appendChild(this.content);
+    // Frozen scrollback on top, live output below
+    this.scrollback = this.createPane('terminal-scrollback');
+    this.scrollback.element.hidden = true;
+    this.scrollback.element.style.flex = `0 0 ${this.splitRatio * 100}%`;
+    
+    this.divider = document.createElement('div');
+    this.divider.className = 'terminal-divider';
+    this.divider.hidden = true;
+    this.divider.style.cssText = 'flex: none; height: 6px; cursor: row-resize; touch-action: none;';
+    
+    this.live = this.createPane('terminal-live');
+    this.live.element.style.flex = '1';
+    
+    this.element.append(this.scrollback.element, this.divider, this.live.element);
     
     this.container.appendChild(this.element);
     
     // Start first line
     this.newLine();
     
-    // Auto-scroll behavior
-    this.autoScroll = true;
-    this.element.addEventListener('scroll', () => {
-      const atBottom = this.element.scrollHeight - this.element.scrollTop <= this.element.clientHeight + 50;
-      this.autoScroll = atBottom;
+    // Scrolling the live pane back opens the split; the live pane
+    // itself always returns to the newest output
+    this.live.element.addEventListener('scroll', () => {
+      if (this.isOwnScroll(this.live) || this.isAtBottom(this.live)) return;
+      
+      const top = this.live.element.scrollTop;
+      if (this.split) {
+        // Carry on scrolling the scrollback pane
+        const bottom = this.live.element.scrollHeight - this.live.element.clientHeight;
+        this.scrollPane(this.scrollback, this.scrollback.element.scrollTop - (bottom - top));
+      } else {
+        this.openSplit();
+        this.scrollPane(this.scrollback, top);
+      }
+      this.scheduleRender();
     });
+    
+    // Scrolling the scrollback pane down to the end closes it again
+    this.scrollback.element.addEventListener('scroll', () => {
+      if (this.isOwnScroll(this.scrollback)) return;
+      
+      if (this.isAtBottom(this.scrollback)) {
+        this.closeSplit();
+      } else {
+        this.scheduleRender();
+      }
+    });
+    
+    this.divider.addEventListener('pointerdown', (e) => this.dragDivider(e));
+    
+    // Track size changes (debounced)
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => {
+        this.scheduleResize();
+        this.scheduleRender();
+      }).observe(this.element);
+    } else {
+      window.addEventListener('resize', () => this.scheduleResize());
+    }
+  }
+  
+  /**
+   * A scrolling view onto the scrollback
+   * The content is as tall as the whole scrollback; the viewport holds
+   * the lines in view.
+   * @returns {Object} { element, content, viewport, rendered, ownTop }
+   */
+  createPane(className) {
+    const element = document.createElement('div');
+    element.className = `terminal-pane ${className}`;
+    element.style.cssText = `
+      overflow-y: auto;
+      overflow-x: hidden;
+      min-height: 0;
+      padding: 8px;
+      box-sizing: border-box;
+    `;
+    
+    const content = document.createElement('div');
+    content.className = 'terminal-content';
+    content.style.position = 'relative';
+    
+    const viewport = document.createElement('div');
+    viewport.className = 'terminal-viewport';
+    viewport.style.cssText = 'position: absolute; top: 0; left: 0; right: 0;';
+    content.appendChild(viewport);
+    element.appendChild(content);
+    
+    return {
+      element,
+      content,
+      viewport,
+      // Elements of the lines in view, kept until the line changes
+      rendered: new Map(),
+      // Position we last scrolled to, so our own scroll events are ignored
+      ownTop: null
+    };
   }
   
   /**
-   * Create a new line element
+   * Measure the size of one character cell from the font metrics
+   */
+  measureCell() {
+    const probe = document.createElement('div');
+    probe.className = 'terminal-line';
+    probe.style.cssText = 'position: absolute; visibility: hidden; white-space: pre;';
+    probe.textContent = 'W'.repeat(100);
+    this.element.appendChild(probe);
+    
+    const rect = probe.getBoundingClientRect();
+    probe.remove();
+    
+    return {
+      width: rect.width / 100,
+      height: rect.height
+    };
+  }
+  
+  /**
+   * Get the terminal size in columns and rows
+   * @param {Object} cell - Cell size, measured if not given
+   * @returns {Object} { cols, rows }
+   */
+  getSize(cell = this.measureCell()) {
+    // The whole terminal, even while the live pane is split off
+    const style = getComputedStyle(this.live.element);
+    const width = this.live.element.clientWidth -
+      parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    const height = this.element.clientHeight -
+      parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+    
+    if (!cell.width || !cell.height) {
+      return { cols: 80, rows: 24 };
+    }
+    
+    return {
+      cols: Math.max(1, Math.floor(width / cell.width)),
+      rows: Math.max(1, Math.floor(height / cell.height))
+    };
+  }
+  
+  /**
+   * Report a size change once resizing has settled
+   */
+  scheduleResize() {
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => {
+      // Hidden terminals (background tabs) have no size
+      if (!this.element.clientWidth) return;
+      
+      this.updateLayout();
+      
+      const { cols, rows } = this.getSize();
+      if (cols === this.cols && rows === this.rows) return;
+      
+      this.cols = cols;
+      this.rows = rows;
+      if (this.screen) {
+        this.screen.resize(rows, cols);
+        this.syncScreen();
+      }
+      if (this.onResize) {
+        this.onResize({ cols, rows });
+      }
+    }, this.options.resizeDelay);
+  }
+  
+  // ==================== Scrollback ====================
+  
+  /**
+   * Start a new line
    */
   newLine() {
-    const line = document.createElement('div');
-    line.className = 'terminal-line';
-    this.content.appendChild(line);
-    this.currentLine = line;
+    if (this.screen) {
+      this.screen.newLine();
+      return;
+    }
+    
+    // New output is searched once its line is complete
+    if (this.search && this.currentLine) {
+      this.searchLine(this.currentLine);
+      this.searchChanged();
+    }
+    
+    const line = { segments: [], length: 0, width: 0, highlight: null };
     this.lines.push(line);
+    this.rowTops.push(this.totalRows);
+    this.totalRows++;
+    this.currentLine = line;
     
     // Trim old lines if exceeding max
-    while (this.lines.length > this.options.maxLines) {
-      const oldLine = this.lines.shift();
-      oldLine.remove();
+    if (this.lines.length > this.options.maxLines + this.trimChunk) {
+      this.trim(this.lines.length - this.options.maxLines);
     }
     
-    return line;
+    this.scheduleRender();
   }
   
   /**
-   * Write styled text segment to terminal
+   * Add text to the current line, merging it into the last segment
+   * when the style is the same
    */
-  writeSegment(text, fg, bg) {
+  append(text, fg = null, bg = null, className = null) {
     if (!text) return;
+    if (this.screen) {
+      this.screen.write(text, [fg, bg, className]);
+      return;
+    }
+    
+    const segments = this.currentLine.segments;
+    const last = segments[segments.length - 1];
+    if (last && last[1] === fg && last[2] === bg && last[3] === className) {
+      last[0] += text;
+    } else {
+      segments.push([text, fg, bg, className]);
+    }
+    
+    this.currentLine.length += text.length;
+    this.currentLine.width += Terminal.textWidth(text);
+    this.lineChanged();
+  }
+  
+  /**
+   * Empty the current line
+   */
+  clearLine() {
+    if (this.screen) {
+      this.screen.eraseLine(2);
+      this.screen.carriageReturn();
+      this.syncScreen();
+      return;
+    }
+    
+    this.currentLine.segments = [];
+    this.currentLine.length = 0;
+    this.currentLine.width = 0;
+    this.lineChanged();
+  }
+  
+  /**
+   * Redraw the current line, re-counting its rows if it is the last
+   * (in screen mode it can be further up, and syncScreen counts the rows)
+   */
+  lineChanged() {
+    const line = this.currentLine;
+    this.dirty.add(line);
+    if (line === this.lines[this.lines.length - 1]) {
+      this.totalRows = this.rowTops[this.rowTops.length - 1] + this.countRows(line);
+    }
+    this.scheduleRender();
+  }
+  
+  /**
+   * Rows a line takes up: lines wrap at any character, so this is exact
+   */
+  countRows(line) {
+    if (!this.wrapCols) return 1;
+    if (line.width === line.length) {
+      return Math.max(1, Math.ceil(line.width / this.wrapCols));
+    }
+    
+    // Wide or zero-width characters: a wide one that doesn't fit at the
+    // end of a row starts the next
+    let rows = 1;
+    let col = 0;
+    for (const [text] of line.segments) {
+      for (const char of text) {
+        const width = Terminal.charWidth(char);
+        if (col + width > this.wrapCols) {
+          rows++;
+          col = 0;
+        }
+        col += width;
+      }
+    }
+    return rows;
+  }
+  
+  /**
+   * Character cells a string takes up
+   */
+  static textWidth(text) {
+    // Nearly all output is one cell per character
+    if (!/[^\x00-\u02ff]/.test(text)) return text.length;
+    
+    let width = 0;
+    for (const char of text) {
+      width += Terminal.charWidth(char);
+    }
+    return width;
+  }
+  
+  /**
+   * Cells for one character: 0 for combining marks and other zero-width
+   * characters, 2 for East Asian wide characters and emoji
+   */
+  static charWidth(char) {
+    if (/[\p{Mn}\p{Me}\p{Cf}]/u.test(char)) return 0;
+    if (/[\u1100-\u115f\u2e80-\u303e\u3041-\u33ff\u3400-\u4dbf\u4e00-\u9fff\ua000-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{20000}-\u{3fffd}]|\p{Emoji_Presentation}/u.test(char)) {
+      return 2;
+    }
+    return 1;
+  }
+  
+  /**
+   * Drop the oldest lines, keeping the view still when scrolled back
+   */
+  trim(count) {
+    const removedRows = this.rowTops[count];
+    this.forgetLines(this.lines.splice(0, count));
+    this.rowTops = this.rowTops.slice(count).map(top => top - removedRows);
+    this.totalRows -= removedRows;
+    
+    if (this.split && this.rowHeight) {
+      const pane = this.scrollback;
+      pane.content.style.height = `${this.totalRows * this.rowHeight}px`;
+      this.scrollPane(pane, pane.element.scrollTop - removedRows * this.rowHeight);
+    }
+  }
+  
+  /**
+   * Drop the newest lines, from index start on
+   */
+  truncate(start) {
+    this.forgetLines(this.lines.splice(start));
+    this.rowTops.length = start;
+    this.totalRows = start ? this.rowTops[start - 1] + this.countRows(this.lines[start - 1]) : 0;
+  }
+  
+  /**
+   * Remove the elements and search matches of lines taken out of the scrollback
+   */
+  forgetLines(removed) {
+    for (const pane of [this.scrollback, this.live]) {
+      for (const line of removed) {
+        pane.rendered.get(line)?.remove();
+        pane.rendered.delete(line);
+      }
+    }
+    
+    if (this.search?.matches.length) {
+      const search = this.search;
+      for (const line of removed) {
+        search.byLine.delete(line);
+      }
+      search.matches = search.matches.filter(m => search.byLine.has(m.line));
+      if (!search.byLine.has(search.current?.line)) {
+        search.current = null;
+      }
+      this.searchChanged();
+    }
+  }
+  
+  /**
+   * Index of the line that contains a wrapped row
+   */
+  lineAtRow(row) {
+    let low = 0;
+    let high = this.rowTops.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.rowTops[mid] <= row) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+  
+  /**
+   * Measure the cells and re-wrap the scrollback if the width changed,
+   * keeping the top line of the scrollback pane where it was
+   */
+  updateLayout() {
+    const cell = this.measureCell();
+    if (!cell.height) return;
+    
+    const { cols } = this.getSize(cell);
+    const anchor = this.rowHeight
+      ? this.lineAtRow(Math.floor(this.scrollback.element.scrollTop / this.rowHeight))
+      : 0;
+    const changed = cols !== this.wrapCols || cell.height !== this.rowHeight;
+    
+    this.rowHeight = cell.height;
+    if (cols !== this.wrapCols) {
+      this.wrapCols = cols;
+      let top = 0;
+      this.lines.forEach((line, i) => {
+        this.rowTops[i] = top;
+        top += this.countRows(line);
+      });
+      this.totalRows = top;
+    }
+    
+    if (changed) {
+      if (this.split) {
+        this.scrollback.content.style.height = `${this.totalRows * this.rowHeight}px`;
+        this.scrollPane(this.scrollback, this.rowTops[anchor] * this.rowHeight);
+      }
+      this.scheduleRender();
+    }
+  }
+  
+  // ==================== Screen Mode ====================
+  
+  /**
+   * Whether a segment needs the cursor to be placed on a grid
+   * Switching the alternate screen on is handled by screenControl.
+   */
+  startsScreen(seg) {
+    if (!this.screenMode) return false;
+    if (seg.cursorMove) return true;
+    return ['r', 'S', 'T', 'L', 'M', 'P', '@', 'X', 'u', 'IND', 'RI', 'NEL'].includes(seg.control);
+  }
+  
+  /**
+   * Switch to screen mode, the grid taking over the last lines
+   * @param {boolean} fresh - Start on a blank page (the alternate screen)
+   */
+  enterScreen(fresh = false) {
+    // The size the server was told about
+    const size = this.rows ? this : this.getSize();
+    const rows = Math.max(1, size.rows);
+    const cols = Math.max(1, size.cols);
+    const cursorLine = this.currentLine;
+    
+    if (fresh) {
+      this.newLine();
+      this.altScreen = this.currentLine;
+      for (let i = 1; i < rows; i++) {
+        this.newLine();
+      }
+    } else {
+      // Short scrollback is padded below, as the top of the screen
+      while (this.lines.length < rows) {
+        this.newLine();
+      }
+    }
+    
+    const screen = new ScreenBuffer(rows, cols);
+    const start = this.lines.length - rows;
+    for (let row = 0; row < rows; row++) {
+      screen.lines[row].line = this.lines[start + row];
+      screen.setRow(row, this.lines[start + row].segments);
+    }
+    
+    if (!fresh) {
+      screen.cursor.row = Math.max(0, this.lines.lastIndexOf(cursorLine) - start);
+      screen.cursor.col = Math.min(cursorLine.length, cols - 1);
+      screen.wrapPending = cursorLine.length >= cols;
+    }
+    this.screen = screen;
+  }
+  
+  /**
+   * Back to line mode, dropping the alternate screen or the blank rows
+   * below the cursor
+   */
+  leaveScreen() {
+    const screen = this.screen;
+    if (!screen) return;
+    
+    screen.scrolled = 0;
+    this.syncScreen();
+    this.screen = null;
+    const cursorLine = this.currentLine;
+    const alternate = !!this.altScreen;
+    
+    if (alternate) {
+      const start = this.lines.lastIndexOf(this.altScreen);
+      this.altScreen = null;
+      if (start >= 0) {
+        this.truncate(start);
+      }
+    } else {
+      let end = this.lines.length;
+      while (end > 1 && this.lines[end - 1] !== cursorLine &&
+        !this.lines[end - 1].length && !this.lines[end - 1].highlight) {
+        end--;
+      }
+      this.truncate(end);
+    }
+    
+    // Output carries on where it was before the alternate screen, or at
+    // the cursor unless the screen left text below it
+    const last = this.lines[this.lines.length - 1];
+    if (last && (alternate || last === cursorLine)) {
+      this.currentLine = last;
+    } else {
+      this.newLine();
+    }
+    this.scheduleRender();
+  }
+  
+  /**
+   * Copy changed screen rows into their lines
+   * Rows scrolled in get new lines, and rows scrolled off the top of the
+   * screen stay behind as scrollback.
+   */
+  syncScreen() {
+    const screen = this.screen;
+    if (!screen) return;
+    
+    // Rows that have a line are the last lines, in order; the others get
+    // new lines in their place
+    const rows = [...screen.history, ...screen.lines];
+    const start = this.lines.length - rows.filter(row => row.line).length;
+    let searched = false;
+    
+    rows.forEach((row, i) => {
+      if (!row.line) {
+        row.line = { segments: [], length: 0, width: 0, highlight: null };
+        this.lines.splice(start + i, 0, row.line);
+      }
+      if (row.dirty) {
+        Object.assign(row.line, screen.getSegments(row));
+        row.line.width = Terminal.textWidth(row.line.segments.map(([text]) => text).join(''));
+        row.dirty = false;
+        this.dirty.add(row.line);
+        if (this.search) {
+          this.searchLine(row.line);
+          searched = true;
+        }
+      }
+    });
+    screen.history = [];
+    this.currentLine = screen.lines[screen.cursor.row].line;
+    
+    // Only the rows of those lines can have moved
+    let top = start ? this.rowTops[start - 1] + this.countRows(this.lines[start - 1]) : 0;
+    this.rowTops.length = start;
+    for (let i = start; i < this.lines.length; i++) {
+      this.rowTops.push(top);
+      top += this.countRows(this.lines[i]);
+    }
+    this.totalRows = top;
+    
+    if (searched) {
+      this.searchChanged();
+    }
+    if (this.lines.length > this.options.maxLines + this.trimChunk) {
+      this.trim(this.lines.length - this.options.maxLines);
+    }
+    
+    // Once a whole screen has scrolled by without positioning, it is plain lines again
+    if (screen.scrolled >= screen.rows && !this.altScreen) {
+      this.leaveScreen();
+    }
+    this.scheduleRender();
+  }
+  
+  /**
+   * Apply a cursor movement or screen control segment from ANSIParser
+   */
+  screenControl(seg) {
+    if (seg.control === 'h' || seg.control === 'l') {
+      // Of the private modes only the alternate screen matters here
+      const alternate = seg.private && seg.params.some(n => n === 47 || n === 1047 || n === 1049);
+      if (alternate && seg.control === 'h' && this.screenMode && !this.altScreen) {
+        this.leaveScreen();
+        this.enterScreen(true);
+      } else if (alternate && seg.control === 'l' && this.altScreen) {
+        this.leaveScreen();
+      }
+      return;
+    }
+    if (seg.control === 'RIS') {
+      this.leaveScreen();
+      return;
+    }
+    
+    // Returns, backspaces and saving the cursor mean nothing to lines
+    const screen = this.screen;
+    if (!screen) return;
+    
+    if (seg.cursorMove) {
+      screen.moveCursor(seg.cursorMove, seg.params);
+    } else if (seg.carriageReturn) {
+      screen.carriageReturn();
+    } else if (seg.backspace) {
+      screen.backspace();
+    } else {
+      screen.control(seg.control, seg.params);
+    }
+  }
+  
+  /**
+   * Erase in display
+   * @param {number} [mode] - ED mode, or none for the MUD2 clear screen code
+   */
+  clearScreen(mode) {
+    const screen = this.screen;
+    
+    // In line mode the scrollback just starts afresh
+    if (!screen) {
+      this.clear();
+      return;
+    }
+    
+    if (mode === undefined) {
+      screen.eraseDisplay(2);
+      screen.moveCursor('H');
+    } else {
+      screen.eraseDisplay(mode);
+    }
+    
+    // ED 3 also erases the scrollback above the screen
+    const start = this.lines.length - screen.rows;
+    if (mode === 3 && start > 0) {
+      this.trim(start);
+    }
+  }
+  
+  // ==================== Split View ====================
+  
+  /**
+   * Open the scrollback pane above the live output
+   * The pane starts at the top; callers scroll it to where they want.
+   */
+  openSplit() {
+    if (this.split) return;
+    
+    this.split = true;
+    this.scrollback.element.hidden = false;
+    this.divider.hidden = false;
+    this.scrollback.content.style.height = `${this.totalRows * this.rowHeight}px`;
+    this.scheduleRender();
+  }
+  
+  /**
+   * Close the scrollback pane
+   * @returns {boolean} Whether it was open
+   */
+  closeSplit() {
+    if (!this.split) return false;
+    
+    this.split = false;
+    this.scrollback.element.hidden = true;
+    this.divider.hidden = true;
+    
+    // Its lines are not kept up to date while it is hidden
+    this.scrollback.rendered.clear();
+    this.scrollback.viewport.replaceChildren();
+    this.scheduleRender();
+    return true;
+  }
+  
+  /**
+   * Give the scrollback pane a share of the height (kept between 10% and 90%)
+   */
+  setSplitRatio(ratio) {
+    this.splitRatio = Math.min(0.9, Math.max(0.1, ratio));
+    this.scrollback.element.style.flexBasis = `${this.splitRatio * 100}%`;
+    this.scheduleRender();
+  }
+  
+  /**
+   * Resize the panes by dragging the divider
+   */
+  dragDivider(e) {
+    e.preventDefault();
+    this.divider.setPointerCapture?.(e.pointerId);
+    
+    const move = (event) => {
+      const rect = this.element.getBoundingClientRect();
+      if (rect.height) {
+        this.setSplitRatio((event.clientY - rect.top) / rect.height);
+      }
+    };
+    const stop = () => {
+      this.divider.removeEventListener('pointermove', move);
+      this.divider.removeEventListener('pointerup', stop);
+      this.divider.removeEventListener('pointercancel', stop);
+    };
+    
+    this.divider.addEventListener('pointermove', move);
+    this.divider.addEventListener('pointerup', stop);
+    this.divider.addEventListener('pointercancel', stop);
+  }
+  
+  scrollPane(pane, top) {
+    pane.element.scrollTop = top;
+    pane.ownTop = pane.element.scrollTop;
+  }
+  
+  /**
+   * Whether a scroll event comes from scrollPane rather than the user
+   */
+  isOwnScroll(pane) {
+    const own = pane.ownTop !== null && Math.abs(pane.element.scrollTop - pane.ownTop) < 1;
+    pane.ownTop = null;
+    return own;
+  }
+  
+  isAtBottom(pane) {
+    const el = pane.element;
+    return el.scrollHeight - el.scrollTop <= el.clientHeight + (this.rowHeight / 2 || 1);
+  }
+  
+  // ==================== Rendering ====================
+  
+  scheduleRender() {
+    if (this.renderFrame === null) {
+      this.renderFrame = requestAnimationFrame(() => this.render());
+    }
+  }
+  
+  /**
+   * Bring both panes up to date, the live one scrolled to the end
+   */
+  render() {
+    this.renderFrame = null;
+    
+    // Hidden terminals (background tabs) render when shown
+    if (!this.element.clientHeight) return;
+    if (!this.rowHeight) {
+      this.updateLayout();
+      if (!this.rowHeight) return;
+    }
+    
+    const height = `${this.totalRows * this.rowHeight}px`;
+    this.live.content.style.height = height;
+    this.scrollPane(this.live, this.live.element.scrollHeight);
+    this.renderPane(this.live);
+    
+    if (this.split) {
+      this.scrollback.content.style.height = height;
+      this.renderPane(this.scrollback);
+    }
+    this.dirty.clear();
+  }
+    
+  /**
+   * Put the lines in view in a pane (and a few either side) into the DOM
+   */
+  renderPane(pane) {
+    const height = this.rowHeight;
+    const top = pane.element.scrollTop;
+    const overscan = this.options.overscan;
+    const first = Math.max(0, this.lineAtRow(Math.floor(top / height)) - overscan);
+    const last = Math.min(this.lines.length - 1,
+      this.lineAtRow(Math.ceil((top + pane.element.clientHeight) / height)) + overscan);
+      
+    const rendered = new Map();
+    for (let i = first; i <= last; i++) {
+      const line = this.lines[i];
+      const el = !this.dirty.has(line) && pane.rendered.get(line);
+      rendered.set(line, el || this.renderLine(line));
+    }
+    
+    // Move as little as possible, so a selection in view survives new output
+    for (const [line, el] of pane.rendered) {
+      if (rendered.get(line) !== el) {
+        el.remove();
+      }
+    }
+    let next = pane.viewport.firstChild;
+    for (const el of rendered.values()) {
+      if (el === next) {
+        next = next.nextSibling;
+      } else {
+        pane.viewport.insertBefore(el, next);
+      }
+    }
+    
+    pane.viewport.style.transform = `translateY(${this.rowTops[first] * height}px)`;
+    pane.rendered = rendered;
+  }
+  
+  renderLine(line) {
+    const el = document.createElement('div');
+    el.className = 'terminal-line';
+    if (line.highlight) {
+      el.classList.add('highlighted');
+      el.style.backgroundColor = line.highlight;
+    }
+    
+    const matches = this.search?.byLine.get(line);
+    let offset = 0;
     
-    const span = document.createElement('span');
-    span.textContent = text;
+    for (const [text, fg, bg, className] of line.segments) {
+      const span = document.createElement('span');
+      if (matches) {
+        this.appendMarked(span, text, offset, matches);
+      } else {
+        span.textContent = text;
+      }
+      offset += text.length;
+      if (className) {
+        span.className = className;
+      }
+      if (fg) {
+        span.style.color = fg;
+      }
+      if (bg) {
+        span.style.backgroundColor = bg;
+      }
+      el.appendChild(span);
+    }
+    return el;
+  }
+  
+  // ==================== Search ====================
+  
+  /**
+   * Search the scrollback, marking every match
+   * New lines are searched as they complete.
+   * @param {RegExp|null} pattern - A global regex, or null to end the search
+   * @returns {Object} { index, count } - index of the current match or -1
+   */
+  setSearch(pattern) {
+    this.search = pattern
+      ? { pattern, matches: [], byLine: new Map(), current: null }
+      : null;
+      
+    if (this.search) {
+      for (const line of this.lines) {
+        this.searchLine(line);
+      }
+    }
+    
+    for (const pane of [this.scrollback, this.live]) {
+      for (const line of pane.rendered.keys()) {
+        this.dirty.add(line);
+      }
+    }
+    this.scheduleRender();
+    return this.getSearchResult();
+  }
+  
+  /**
+   * Find the matches in one line, replacing any found before
+   */
+  searchLine(line) {
+    const search = this.search;
+    if (search.byLine.has(line)) {
+      // Only the last line is searched twice (when the search started mid-line)
+      search.matches = search.matches.filter(m => m.line !== line);
+      search.byLine.delete(line);
+    }
+    
+    const text = line.segments.map(([text]) => text).join('');
+    const found = [];
+    search.pattern.lastIndex = 0;
+    
+    let match;
+    while ((match = search.pattern.exec(text))) {
+      if (!match[0].length) {
+        search.pattern.lastIndex++;
+        continue;
+      }
+      found.push({ line, start: match.index, end: match.index + match[0].length });
+    }
+    
+    if (found.length) {
+      search.byLine.set(line, found);
+      search.matches.push(...found);
+      this.dirty.add(line);
+    }
+  }
+  
+  /**
+   * Move to the next match (direction 1, newer) or previous (-1, older)
+   * and scroll it into view; the first step from no match goes to the newest
+   * @returns {Object} { index, count }
+   */
+  findNext(direction = -1) {
+    const search = this.search;
+    if (!search || !search.matches.length) return this.getSearchResult();
+    
+    const count = search.matches.length;
+    const index = search.matches.indexOf(search.current);
+    const next = index < 0
+      ? count - 1
+      : (index + direction + count) % count;
+      
+    if (search.current) {
+      this.dirty.add(search.current.line);
+    }
+    search.current = search.matches[next];
+    this.dirty.add(search.current.line);
+    
+    this.scrollToLine(this.lines.indexOf(search.current.line));
+    return this.getSearchResult();
+  }
+  
+  getSearchResult() {
+    if (!this.search) return { index: -1, count: 0 };
     
-    if (fg && fg !== '#aaaaaa') {
-      span.style.color = fg;
+    return {
+      index: this.search.matches.indexOf(this.search.current),
+      count: this.search.matches.length
+    };
+  }
+  
+  searchChanged() {
+    if (this.onSearchChange) {
+      this.onSearchChange(this.getSearchResult());
     }
-    if (bg && bg !== '#000000') {
-      span.style.backgroundColor = bg;
+  }
+  
+  /**
+   * Show a line: in the live pane if it is still there, otherwise in
+   * the middle of the scrollback pane
+   */
+  scrollToLine(index) {
+    if (index < 0 || !this.rowHeight) return;
+    
+    const liveRows = Math.floor(this.live.element.clientHeight / this.rowHeight);
+    if (this.rowTops[index] >= this.totalRows - liveRows) {
+      this.scheduleRender();
+      return;
     }
     
-    this.currentLine.appendChild(span);
+    this.openSplit();
+    const pane = this.scrollback;
+    this.scrollPane(pane, this.rowTops[index] * this.rowHeight - pane.element.clientHeight / 2);
+    this.scheduleRender();
+  }
+  
+  /**
+   * Add text to an element, wrapping the parts inside matches in <mark>
+   * @param {number} offset - Where the text starts in its line
+   */
+  appendMarked(parent, text, offset, matches) {
+    let pos = 0;
+    for (const match of matches) {
+      const start = Math.max(match.start - offset, pos);
+      const end = Math.min(match.end - offset, text.length);
+      if (end <= start) continue;
+      
+      if (start > pos) {
+        parent.append(text.slice(pos, start));
+      }
+      const mark = document.createElement('mark');
+      mark.className = match === this.search.current ? 'search-match current' : 'search-match';
+      mark.textContent = text.slice(start, end);
+      parent.appendChild(mark);
+      pos = end;
+    }
+    if (pos < text.length) {
+      parent.append(text.slice(pos));
+    }
+  }
+  
+  // ==================== Output ====================
+  
+  /**
+   * Write styled text segment to terminal
+   * @param {Object} attrs - Attributes from ANSIParser, drawn with CSS classes
+   */
+  writeSegment(text, fg, bg, attrs = null) {
+    if (attrs) {
+      this.append(text, ...this.attributeStyle(attrs, fg, bg));
+      return;
+    }
+    
+    this.append(
+      text,
+      fg && fg !== '#aaaaaa' ? fg : null,
+      bg && bg !== '#000000' ? bg : null
+    );
+  }
+  
+  /**
+   * Style for a segment's attributes: the 16 palette colours and the text
+   * attributes become ansi-* classes (see main.css), while 256-colour and
+   * truecolour values stay inline
+   * @returns {Array} [fg, bg, className]
+   */
+  attributeStyle(attrs, fg, bg) {
+    const classes = [];
+    let inlineFg = null;
+    let inlineBg = null;
+    
+    // White on black is the terminal's own colouring
+    if (typeof attrs.fg === 'number' && attrs.fg < 16) {
+      if (attrs.fg !== 7) classes.push(`ansi-fg-${attrs.fg}`);
+    } else {
+      inlineFg = fg;
+    }
+    if (typeof attrs.bg === 'number' && attrs.bg < 16) {
+      if (attrs.bg !== 0) classes.push(`ansi-bg-${attrs.bg}`);
+    } else {
+      inlineBg = bg;
+    }
+    
+    for (const name of ['bold', 'dim', 'italic', 'underline', 'blink', 'hidden', 'strike']) {
+      if (attrs[name]) classes.push(`ansi-${name}`);
+    }
+    
+    return [inlineFg, inlineBg, classes.join(' ') || null];
   }
   
   /**
@@ -101,14 +1091,24 @@ class Terminal {
    */
   writeSegments(segments) {
     for (const seg of segments) {
+      if (!this.screen && this.startsScreen(seg)) {
+        this.enterScreen();
+      }
+      
       if (seg.text) {
-        this.writeSegment(seg.text, seg.fg, seg.bg);
+        this.writeSegment(seg.text, seg.fg, seg.bg, seg.attrs);
       } else if (seg.newline) {
         this.newLine();
       } else if (seg.clear === 'screen') {
-        this.clear();
+        this.clearScreen(seg.mode);
       } else if (seg.clear === 'line') {
-        this.currentLine.innerHTML = '';
+        if (this.screen && seg.mode !== undefined) {
+          this.screen.eraseLine(seg.mode);
+        } else {
+          this.clearLine();
+        }
+      } else if (seg.cursorMove || seg.control || seg.carriageReturn || seg.backspace) {
+        this.screenControl(seg);
       } else if (seg.bell) {
         this.bell();
       }
@@ -121,12 +1121,13 @@ class Terminal {
    * Write raw text (for local echo)
    */
   write(text, className = '') {
-    const span = document.createElement('span');
-    span.textContent = text;
-    if (className) {
-      span.className = className;
-    }
-    this.currentLine.appendChild(span);
+    const lines = text.split('\n');
+    lines.forEach((part, i) => {
+      if (i > 0) {
+        this.newLine();
+      }
+      this.append(part, null, null, className || null);
+    });
     this.scrollToBottom();
   }
   
@@ -143,32 +1144,56 @@ class Terminal {
    * Write system message
    */
   writeSystem(text) {
-    const span = document.createElement('span');
-    span.className = 'system-message';
-    span.textContent = text;
-    this.currentLine.appendChild(span);
+    this.append(text, null, null, 'system-message');
     this.newLine();
     this.scrollToBottom();
   }
   
+  /**
+   * Discard the text of the line currently being written (trigger gag)
+   */
+  gagLine() {
+    this.clearLine();
+  }
+  
+  /**
+   * Highlight the line currently being written
+   */
+  highlightLine(color) {
+    this.currentLine.highlight = color;
+    this.lineChanged();
+  }
+  
   /**
    * Clear the terminal
    */
   clear() {
-    this.content.innerHTML = '';
+    this.screen = null;
+    this.altScreen = null;
+    
+    if (this.search) {
+      this.search.matches = [];
+      this.search.byLine.clear();
+      this.search.current = null;
+      this.searchChanged();
+    }
+    
+    this.closeSplit();
     this.lines = [];
+    this.rowTops = [];
+    this.totalRows = 0;
+    this.live.rendered.clear();
+    this.live.viewport.replaceChildren();
+    this.dirty.clear();
     this.newLine();
   }
   
   /**
-   * Scroll to bottom
+   * Show the newest output (the live pane always follows it)
    */
   scrollToBottom() {
-    if (this.autoScroll) {
-      requestAnimationFrame(() => {
-        this.element.scrollTop = this.element.scrollHeight;
-      });
-    }
+    this.syncScreen();
+    this.scheduleRender();
   }
   
   /**
@@ -197,7 +1222,9 @@ class Terminal {
    * Get all text content (for logging)
    */
   getText() {
-    return this.content.textContent;
+    return this.lines
+      .map(line => line.segments.map(([text]) => text).join(''))
+      .join('\n');
   }
 }
 
@@ -205,4 +1232,3 @@ class Terminal {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Terminal;
 }
-
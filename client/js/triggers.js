@@ -0,0 +1,161 @@
+/**
+ * Trigger Engine for MUD3
+ * Matches completed output lines against user triggers (no DOM access)
+ */
+
+class TriggerEngine {
+  /**
+   * Trigger shape:
+   *   { pattern, regex, ignoreCase, group, priority, once, enabled, action, value }
+   * action is one of 'send', 'highlight', 'gag', 'sound', 'notify'.
+   * value may use $0 (whole match) and $1-$9 (capture groups).
+   * @param {Array} triggers - Trigger definitions (kept by reference)
+   * @param {Array} disabledGroups - Names of groups that are switched off
+   */
+  constructor(triggers = [], disabledGroups = []) {
+    this.triggers = triggers;
+    this.disabledGroups = disabledGroups;
+    
+    // Compiled patterns, rebuilt when a trigger's pattern changes
+    this.compiled = new WeakMap();
+  }
+  
+  add(trigger) {
+    this.triggers.push({
+      pattern: '',
+      regex: false,
+      ignoreCase: true,
+      group: '',
+      priority: 0,
+      once: false,
+      enabled: true,
+      action: 'send',
+      value: '',
+      ...trigger
+    });
+  }
+  
+  remove(trigger) {
+    const index = this.triggers.indexOf(trigger);
+    if (index !== -1) {
+      this.triggers.splice(index, 1);
+    }
+  }
+  
+  /**
+   * Names of all groups in use
+   */
+  getGroups() {
+    const groups = new Set(this.triggers.map(t => t.group).filter(Boolean));
+    return [...groups].sort();
+  }
+  
+  isGroupEnabled(group) {
+    return !group || !this.disabledGroups.includes(group);
+  }
+  
+  setGroupEnabled(group, enabled) {
+    const index = this.disabledGroups.indexOf(group);
+    if (enabled && index !== -1) {
+      this.disabledGroups.splice(index, 1);
+    } else if (!enabled && index === -1) {
+      this.disabledGroups.push(group);
+    }
+  }
+  
+  /**
+   * Get the RegExp for a trigger, or null if its pattern is invalid
+   */
+  compile(trigger) {
+    const flags = trigger.ignoreCase ? 'i' : '';
+    const cached = this.compiled.get(trigger);
+    if (cached && cached.pattern === trigger.pattern &&
+        cached.regex === trigger.regex && cached.flags === flags) {
+      return cached.re;
+    }
+    
+    let re = null;
+    try {
+      const source = trigger.regex
+        ? trigger.pattern
+        : trigger.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      re = new RegExp(source, flags);
+    } catch {
+      // Invalid pattern - trigger never matches
+    }
+    
+    this.compiled.set(trigger, { pattern: trigger.pattern, regex: trigger.regex, flags, re });
+    return re;
+  }
+  
+  /**
+   * Evaluate all active triggers against one line of plain text
+   * Triggers run in descending priority; for highlights the first wins.
+   * @param {string} line - Completed line without colour codes
+   * @returns {Object} { gag, highlight, commands, sounds, notifications, changed }
+   */
+  process(line) {
+    const result = {
+      gag: false,
+      highlight: null,
+      commands: [],
+      sounds: [],
+      notifications: [],
+      changed: false
+    };
+    
+    const active = this.triggers
+      .filter(t => t.enabled && t.pattern && this.isGroupEnabled(t.group))
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    
+    for (const trigger of active) {
+      const re = this.compile(trigger);
+      const match = re && line.match(re);
+      if (!match) continue;
+      
+      const value = this.substitute(trigger.value || '', match);
+      
+      switch (trigger.action) {
+        case 'send':
+          for (const cmd of value.split(';')) {
+            if (cmd.trim()) result.commands.push(cmd.trim());
+          }
+          break;
+        case 'highlight':
+          if (!result.highlight) result.highlight = value || 'yellow';
+          break;
+        case 'gag':
+          result.gag = true;
+          break;
+        case 'sound':
+          result.sounds.push(value);
+          break;
+        case 'notify':
+          result.notifications.push(value || line);
+          break;
+      }
+      
+      if (trigger.once) {
+        trigger.enabled = false;
+        result.changed = true;
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Replace $0-$9 with match groups ($$ is a literal $)
+   */
+  substitute(value, match) {
+    return value.replace(/\$(\$|\d)/g, (m, token) => {
+      if (token === '$') return '$';
+      return match[parseInt(token, 10)] || '';
+    });
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TriggerEngine;
+}
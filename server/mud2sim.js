@@ -0,0 +1,526 @@
+/**
+ * MUD2 Simulator
+ * A small local telnet server that behaves enough like MUD2 to develop
+ * and test the client offline: client-mode handshake, C00-C99 client
+ * codes, FES status lines, dreamwords, ANSI colours and a few rooms.
+ *
+ * Run with `npm run sim`, then start the proxy with
+ * MUD_HOST=localhost MUD_PORT=2323.
+ */
+
+const net = require('net');
+
+// Configuration
+const SIM_PORT = parseInt(process.env.SIM_PORT) || 2323;
+const FES_INTERVAL = (parseInt(process.env.SIM_FES_INTERVAL) || 10) * 1000;
+
+// Telnet
+const IAC = 255, DONT = 254, DO = 253, WILL = 251;
+const SB = 250, SE = 240;
+const SUPPRESS_GA = 3, TERMINAL_TYPE = 24, NAWS = 31;
+
+// Client codes: Cnn is byte 155 + nn, terminated by 0xFF
+const C = (n, ...args) => [155 + n, ...args, 0xFF];
+const PROMPT = C(0);
+const FES_HEADER = C(12, 163, 156); // C12 C08 C01
+const ACCOUNT = 95;
+const ACCOUNT_INFO = {
+  id: process.env.SIM_ACCOUNT || 'A0001',
+  licence: 'L',
+  privs: parseInt(process.env.SIM_PRIVS) || 0
+};
+// Any password is accepted unless one is set
+const PASSWORD = process.env.SIM_PASSWORD || null;
+
+// ESC ^F ESC - T (MUD2Protocol.getClientModeRequest)
+const CLIENT_MODE_REQUEST = [0x1B, 0x06, 0x1B, 0x2D, 0x54];
+
+// ANSI colour for each client-code colour, used in plain telnet mode
+const ANSI = {
+  reset: '\x1b[0m',
+  blue: '\x1b[34m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  magenta: '\x1b[35m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  white: '\x1b[1;37m',
+  dream: '\x1b[30;46m'
+};
+const CODES = {
+  blue: 1, green: 2, cyan: 3, magenta: 4, red: 5,
+  magic: 6, combat: 7, event: 8, yellow: 9, dream: 15
+};
+
+// The world: a handful of rooms with every kind of exit the mapper knows
+const ROOMS = {
+  road: {
+    title: 'Narrow road.',
+    text: 'You are on a narrow road running north to south between high hedges.',
+    exits: { n: 'crossroads', s: 'cottage', w: 'swamp' }
+  },
+  crossroads: {
+    title: 'Crossroads.',
+    text: 'Roads lead off in all four directions. A signpost leans drunkenly.',
+    exits: { s: 'road', e: 'tavern', ne: 'hill', nw: 'forest' }
+  },
+  tavern: {
+    title: 'Outside the tavern.',
+    text: 'A painted sign creaks above the door of a low tavern.',
+    exits: { w: 'crossroads', in: 'bar' }
+  },
+  bar: {
+    title: 'Tavern bar.',
+    text: 'The bar is smoky and smells of stale ale. Stairs lead down to the cellar.',
+    exits: { out: 'tavern', d: 'cellar' },
+    items: ['a pewter tankard']
+  },
+  cellar: {
+    title: 'Cellar.',
+    text: 'Barrels line the damp walls of the cellar.',
+    exits: { u: 'bar' },
+    items: ['a rusty sword', 'a coil of rope']
+  },
+  hill: {
+    title: 'Hilltop.',
+    text: 'From the hilltop you can see the swamp glinting to the south-west.',
+    exits: { sw: 'crossroads' }
+  },
+  forest: {
+    title: 'Edge of the forest.',
+    text: 'Dark trees crowd together to the north.',
+    exits: { se: 'crossroads' }
+  },
+  cottage: {
+    title: 'Cottage garden.',
+    text: 'A neat garden surrounds a thatched cottage.',
+    exits: { n: 'road' }
+  },
+  swamp: {
+    title: 'Swamp.',
+    text: 'Foul-smelling mud sucks at your feet. The road lies east.',
+    exits: { e: 'road', zw: 'swamp' }
+  }
+};
+
+const DIRECTIONS = {
+  n: 'n', north: 'n', ne: 'ne', northeast: 'ne', e: 'e', east: 'e',
+  se: 'se', southeast: 'se', s: 's', south: 's', sw: 'sw', southwest: 'sw',
+  w: 'w', west: 'w', nw: 'nw', northwest: 'nw', u: 'u', up: 'u',
+  d: 'd', down: 'd', in: 'in', out: 'out', zw: 'zw', swamp: 'zw'
+};
+
+const DREAMWORDS = ['XYZZY', 'PLUGH', 'FROBOZZ', 'GNUSTO', 'REZROV'];
+const WEATHER = ['S', 'C', 'R', 'F', 'T', 'B'];
+
+/**
+ * One connected player
+ */
+class SimSession {
+  constructor(socket) {
+    this.socket = socket;
+    this.clientMode = false;
+    this.state = 'account'; // account, password, name, game
+    this.name = '';
+    this.room = 'road';
+    this.line = '';
+    this.width = 80;
+    this.height = 24;
+    this.terminalType = '';
+    
+    // Telnet input state
+    this.telnetState = 'data';
+    this.telnetCommand = 0;
+    this.sbBuffer = [];
+    
+    // Last input bytes, to spot the client-mode request
+    this.recent = [];
+    this.lastByte = 0;
+    
+    this.stats = {
+      sta: 100, msta: 100, str: 80, mstr: 80, dex: 90, mdex: 90,
+      mag: 30, mmag: 30, score: 1200,
+      blind: false, deaf: false, crippled: false, dumb: false,
+      reset: 3600, weather: 'S'
+    };
+    
+    this.fesTimer = setInterval(() => this.tick(), FES_INTERVAL);
+    
+    socket.on('data', (data) => this.receive(data));
+    socket.on('close', () => clearInterval(this.fesTimer));
+    socket.on('error', () => {});
+    
+    this.send([IAC, DO, TERMINAL_TYPE, IAC, DO, NAWS, IAC, WILL, SUPPRESS_GA]);
+    this.writeLine('Welcome to the MUD2 simulator.');
+    this.writeLine('');
+    this.write('Account ID: ');
+  }
+  
+  send(bytes) {
+    if (!this.socket.destroyed) {
+      this.socket.write(Buffer.from(bytes));
+    }
+  }
+  
+  /**
+   * Write text as Latin-1, doubling any 0xFF bytes
+   */
+  write(text) {
+    this.send([...Buffer.from(text, 'latin1')].flatMap(b => (b === IAC ? [IAC, IAC] : [b])));
+  }
+  
+  writeLine(text) {
+    this.write(text + '\r\n');
+  }
+  
+  /**
+   * Write text in a colour: a client code in client mode, ANSI otherwise
+   */
+  writeColour(colour, text) {
+    if (this.clientMode) {
+      this.send(C(CODES[colour]));
+      this.write(text);
+      this.send(C(99, 155 + 7, 155)); // C99: back to grey on black
+    } else {
+      this.write(ANSI[colour] + text + ANSI.reset);
+    }
+  }
+  
+  prompt() {
+    if (this.clientMode) this.send(PROMPT);
+    this.write('*');
+  }
+  
+  // ==================== Input ====================
+  
+  /**
+   * Strip telnet commands, watch for the client-mode request and
+   * collect lines
+   */
+  receive(data) {
+    for (const byte of data) {
+      switch (this.telnetState) {
+        case 'data':
+          if (byte === IAC) {
+            this.telnetState = 'iac';
+          } else {
+            this.receiveByte(byte);
+          }
+          break;
+        case 'iac':
+          if (byte === IAC) {
+            this.telnetState = 'data';
+            this.receiveByte(byte);
+          } else if (byte === SB) {
+            this.sbBuffer = [];
+            this.telnetState = 'sb';
+          } else if (byte >= WILL && byte <= DONT) {
+            this.telnetCommand = byte;
+            this.telnetState = 'option';
+          } else {
+            this.telnetState = 'data';
+          }
+          break;
+        case 'option':
+          this.telnetState = 'data';
+          if (this.telnetCommand === WILL && byte === TERMINAL_TYPE) {
+            this.send([IAC, SB, TERMINAL_TYPE, 1, IAC, SE]); // SEND
+          }
+          break;
+        case 'sb':
+          if (byte === IAC) {
+            this.telnetState = 'sb-iac';
+          } else {
+            this.sbBuffer.push(byte);
+          }
+          break;
+        case 'sb-iac':
+          if (byte === SE) {
+            this.telnetState = 'data';
+            this.subnegotiation(this.sbBuffer);
+          } else {
+            this.sbBuffer.push(byte);
+            this.telnetState = 'sb';
+          }
+          break;
+      }
+    }
+  }
+  
+  subnegotiation([option, ...args]) {
+    if (option === NAWS && args.length >= 4) {
+      this.width = (args[0] << 8) | args[1];
+      this.height = (args[2] << 8) | args[3];
+    } else if (option === TERMINAL_TYPE && args[0] === 0) {
+      this.terminalType = Buffer.from(args.slice(1)).toString('latin1');
+    }
+  }
+  
+  receiveByte(byte) {
+    // The client-mode request can arrive at any time
+    this.recent.push(byte);
+    if (this.recent.length > CLIENT_MODE_REQUEST.length) this.recent.shift();
+    if (this.recent.length === CLIENT_MODE_REQUEST.length &&
+        this.recent.every((b, i) => b === CLIENT_MODE_REQUEST[i])) {
+      this.recent = [];
+      this.line = '';
+      this.enterClientMode();
+      return;
+    }
+    
+    if (byte === 13 || byte === 10) {
+      // Treat CR LF (or CR NUL) as one line end
+      if (byte === 10 && this.lastByte === 13) {
+        this.lastByte = byte;
+        return;
+      }
+      this.lastByte = byte;
+      const line = this.line;
+      this.line = '';
+      this.command(line.trim());
+      return;
+    }
+    
+    this.lastByte = byte;
+    if (byte >= 32 && byte < 127) {
+      this.line += String.fromCharCode(byte);
+    }
+  }
+  
+  /**
+   * ESC - C (clear screen, client mode on), then the C95 account header
+   * Like an FES line, the header is followed by its fields up to the
+   * line end: account id, licence and privilege level.
+   */
+  enterClientMode() {
+    this.clientMode = true;
+    this.send([0x1B, 0x2D, 0x43]);
+    this.send(C(ACCOUNT));
+    this.writeLine(`${ACCOUNT_INFO.id} ${ACCOUNT_INFO.licence} ${ACCOUNT_INFO.privs}`);
+    this.writeLine('Client mode enabled.');
+    if (this.state === 'game') {
+      this.sendFES();
+      this.prompt();
+    }
+  }
+  
+  // ==================== Game ====================
+  
+  command(line) {
+    if (this.state === 'account') {
+      if (line.toUpperCase() !== ACCOUNT_INFO.id.toUpperCase()) {
+        this.writeLine('Unknown account.');
+        this.write('Account ID: ');
+        return;
+      }
+      this.state = 'password';
+      this.write('Password: ');
+      return;
+    }
+    
+    if (this.state === 'password') {
+      if (PASSWORD !== null && line !== PASSWORD) {
+        this.writeLine('Incorrect password.');
+        this.state = 'account';
+        this.write('Account ID: ');
+        return;
+      }
+      this.state = 'name';
+      this.writeLine('');
+      this.write('By what name shall you be known? ');
+      return;
+    }
+    
+    if (this.state === 'name') {
+      if (!line) {
+        this.write('By what name shall you be known? ');
+        return;
+      }
+      this.name = line.charAt(0).toUpperCase() + line.slice(1).toLowerCase();
+      this.state = 'game';
+      this.writeLine(`Welcome, ${this.name}!`);
+      if (this.clientMode) {
+        this.send(C(2, 156)); // C02 C01: game mode
+      }
+      this.describe();
+      this.sendFES();
+      this.prompt();
+      return;
+    }
+    
+    const [verb = '', ...args] = line.toLowerCase().split(/\s+/);
+    const dir = DIRECTIONS[verb === 'go' ? args[0] : verb];
+    
+    if (!verb) {
+      // Empty line - just a new prompt
+    } else if (dir) {
+      this.move(dir);
+    } else if (verb === 'l' || verb === 'look') {
+      this.describe();
+    } else if (verb === 'score' || verb === 'sc') {
+      this.writeLine(`Sta:${this.stats.sta}/${this.stats.msta} Str:${this.stats.str}/${this.stats.mstr} ` +
+        `Dex:${this.stats.dex}/${this.stats.mdex} Mag:${this.stats.mag} Pts:${this.stats.score}`);
+    } else if (verb === 'i' || verb === 'inv' || verb === 'inventory') {
+      this.writeLine('You are carrying a brass lamp and a stale loaf.');
+    } else if (verb === 'who') {
+      this.writeLine(`${this.name} the novice is playing.`);
+    } else if (verb === 'kill' || verb === 'attack') {
+      this.fight(args.join(' ') || 'the rat');
+    } else if (verb === 'cast' || verb === 'magic') {
+      this.stats.mag = Math.max(0, this.stats.mag - 5);
+      this.writeColour('magic', 'A shimmering blue light surrounds you!');
+      this.writeLine('');
+      this.sendFES();
+    } else if (verb === 'sleep') {
+      this.dream();
+    } else if (verb === 'codes') {
+      this.showCodes();
+    } else if (verb === 'colours' || verb === 'colors') {
+      this.showColours();
+    } else if (verb === 'reset') {
+      this.writeColour('event', 'The world is about to be reset!');
+      this.writeLine('');
+      this.stats.reset = 30;
+      this.sendFES();
+    } else if (verb === 'quit' || verb === 'qq') {
+      this.writeLine('Bye!');
+      this.socket.end();
+      return;
+    } else {
+      this.writeLine("I don't understand.");
+    }
+    
+    this.prompt();
+  }
+  
+  move(dir) {
+    const target = ROOMS[this.room].exits[dir];
+    if (!target) {
+      this.writeLine("You can't go that way.");
+      return;
+    }
+    this.room = target;
+    this.describe();
+  }
+  
+  describe() {
+    const room = ROOMS[this.room];
+    this.writeColour('cyan', room.title);
+    this.writeLine('');
+    this.writeLine(room.text);
+    for (const item of room.items || []) {
+      this.writeLine(`There is ${item} here.`);
+    }
+  }
+  
+  fight(target) {
+    const damage = 5 + Math.floor(Math.random() * 10);
+    this.stats.sta = Math.max(1, this.stats.sta - damage);
+    this.writeColour('combat', `You attack ${target}!`);
+    this.writeLine('');
+    this.writeColour('combat', `${target.charAt(0).toUpperCase() + target.slice(1)} hits you for ${damage} damage.`);
+    this.writeLine('');
+    this.sendFES();
+  }
+  
+  dream() {
+    const word = DREAMWORDS[Math.floor(Math.random() * DREAMWORDS.length)];
+    this.writeLine('You fall asleep and dream...');
+    this.write('A voice whispers the word ');
+    this.writeColour('dream', word);
+    this.writeLine('.');
+    this.writeLine('You wake up.');
+  }
+  
+  /**
+   * Every client code MUD2 sends, each labelled
+   */
+  showCodes() {
+    const codes = [...Array(22).keys()].filter(n => n !== 12) // C12 would start an FES line
+      .concat([89, 90, 94, 95, 96, 97, 98, 99]);
+    codes.forEach((n, i) => {
+      const label = `C${String(n).padStart(2, '0')}`;
+      if (this.clientMode) {
+        this.send(n === 99 ? C(99, 155 + 14, 155 + 1) : C(n));
+      }
+      this.write(label + (i % 10 === 9 || i === codes.length - 1 ? '\r\n' : ' '));
+    });
+    if (this.clientMode) {
+      this.send(C(99, 155 + 7, 155));
+    } else {
+      this.writeLine('(client codes are only sent in client mode)');
+    }
+  }
+  
+  /**
+   * ANSI SGR sample: the 16 basic colours and some attributes
+   */
+  showColours() {
+    let line = '';
+    for (let i = 30; i <= 37; i++) line += `\x1b[${i}m${i} `;
+    this.writeLine(line + ANSI.reset);
+    line = '';
+    for (let i = 30; i <= 37; i++) line += `\x1b[1;${i}m${i} `;
+    this.writeLine(line + ANSI.reset);
+    line = '';
+    for (let i = 40; i <= 47; i++) line += `\x1b[${i}m${i} `;
+    this.writeLine(line + ANSI.reset);
+    this.writeLine(`\x1b[1mbold\x1b[0m \x1b[4munderline\x1b[0m \x1b[7mreverse\x1b[0m`);
+  }
+  
+  // ==================== Status ====================
+  
+  /**
+   * Periodic update: weather, reset countdown and stamina recovery
+   */
+  tick() {
+    if (this.state !== 'game') return;
+    
+    const s = this.stats;
+    s.reset = Math.max(0, s.reset - FES_INTERVAL / 1000);
+    s.sta = Math.min(s.msta, s.sta + 2);
+    s.mag = Math.min(s.mmag, s.mag + 1);
+    if (Math.random() < 0.2) {
+      s.weather = WEATHER[Math.floor(Math.random() * WEATHER.length)];
+    }
+    this.sendFES();
+  }
+  
+  /**
+   * FES line: C12 C08 C01 0xFF, then
+   * sta msta str mstr dex mdex mag mmag score blind deaf crip dumb reset weather
+   */
+  sendFES() {
+    if (!this.clientMode || this.state !== 'game') return;
+    
+    const s = this.stats;
+    const flag = (value) => (value ? 'Y' : 'N');
+    this.send(FES_HEADER);
+    this.writeLine([
+      s.sta, s.msta, s.str, s.mstr, s.dex, s.mdex, s.mag, s.mmag, s.score,
+      flag(s.blind), flag(s.deaf), flag(s.crippled), flag(s.dumb),
+      s.reset, s.weather
+    ].join(' '));
+  }
+}
+
+/**
+ * Start the simulator
+ * @returns {net.Server}
+ */
+function startSimulator(port = SIM_PORT) {
+  return net.createServer((socket) => {
+    console.log(`[sim] Connection from ${socket.remoteAddress}`);
+    new SimSession(socket);
+  }).listen(port, () => {
+    console.log(`🧪 MUD2 simulator listening on port ${port}`);
+  });
+}
+
+if (require.main === module) {
+  startSimulator();
+  process.on('SIGINT', () => process.exit(0));
+  process.on('SIGTERM', () => process.exit(0));
+}
+
+module.exports = { SimSession, startSimulator };
@@ -0,0 +1,144 @@
+/**
+ * Session Recording and Replay
+ * Records raw MUD traffic as JSONL and plays it back as a fake MUD
+ *
+ * Recording format, one JSON object per line:
+ *   { "type": "start", "time": "<ISO date>", "clientId": 1, "host": "...", "port": 23 }
+ *   { "t": 120, "dir": "recv", "data": "<base64>" }   bytes from the MUD
+ *   { "t": 450, "dir": "send", "data": "<base64>" }   bytes to the MUD
+ *   { "t": 9000, "type": "end" }
+ * t is milliseconds since the start of the recording.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+class SessionRecorder {
+  /**
+   * @param {string} dir - Directory to write the recording into
+   * @param {Object} info - Header fields (clientId, host, port)
+   */
+  constructor(dir, info = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.file = path.join(dir, `session-${info.clientId}-${stamp}.jsonl`);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.log(`Recording ${this.file} failed:`, err.message);
+    });
+    
+    this.started = Date.now();
+    this.writeLine({ type: 'start', time: new Date(this.started).toISOString(), ...info });
+  }
+  
+  /**
+   * Record bytes travelling in one direction
+   * @param {string} dir - 'recv' (from the MUD) or 'send' (to the MUD)
+   */
+  record(dir, data) {
+    if (!this.stream || !data.length) return;
+    this.writeLine({
+      t: Date.now() - this.started,
+      dir,
+      data: Buffer.from(data).toString('base64')
+    });
+  }
+  
+  close() {
+    if (!this.stream) return;
+    this.writeLine({ t: Date.now() - this.started, type: 'end' });
+    this.stream.end();
+    this.stream = null;
+  }
+  
+  writeLine(entry) {
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+/**
+ * Stands in for a net.Socket to the MUD, playing back a recording
+ * Emits 'connect', 'data' and 'close' like the real socket; anything
+ * written to it is discarded. The connection stays open after the last
+ * event so the browser can be inspected.
+ */
+class ReplayConnection extends EventEmitter {
+  /**
+   * @param {string} file - Recording to play
+   * @param {Object} options
+   * @param {number} options.speed - Playback speed multiplier (0 = instant)
+   */
+  constructor(file, options = {}) {
+    super();
+    this.file = file;
+    this.speed = options.speed ?? 1;
+    this.events = ReplayConnection.load(file);
+    this.timer = null;
+    this.closed = false;
+    
+    // Connect asynchronously, as a socket would
+    setImmediate(() => {
+      if (this.closed) return;
+      this.emit('connect');
+      this.playFrom(0, 0);
+    });
+  }
+  
+  /**
+   * Read the MUD output events of a recording
+   * @throws {Error} If the file cannot be read or is not a recording
+   */
+  static load(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    const entries = lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`${file}:${i + 1}: not a JSON line`);
+      }
+    });
+    
+    if (!entries.length || entries[0].type !== 'start') {
+      throw new Error(`${file}: not a session recording`);
+    }
+    
+    return entries
+      .filter(e => e.dir === 'recv')
+      .map(e => ({ t: e.t, data: Buffer.from(e.data, 'base64') }));
+  }
+  
+  playFrom(index, lastTime) {
+    if (this.closed) return;
+    if (index >= this.events.length) {
+      console.log(`Replay of ${this.file} finished`);
+      return;
+    }
+    
+    const event = this.events[index];
+    const delay = this.speed > 0 ? (event.t - lastTime) / this.speed : 0;
+    
+    this.timer = setTimeout(() => {
+      this.emit('data', event.data);
+      this.playFrom(index + 1, event.t);
+    }, Math.max(0, delay));
+  }
+  
+  write() {
+    return true;
+  }
+  
+  end() {
+    this.destroy();
+  }
+  
+  destroy() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.timer);
+    setImmediate(() => this.emit('close'));
+  }
+}
+
+module.exports = { SessionRecorder, ReplayConnection };
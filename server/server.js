@@ -5,6 +5,9 @@
 
 const WebSocket = require('ws');
 const net = require('net');
+const crypto = require('crypto');
+const { TelnetSession } = require('./telnet');
+const { SessionRecorder, ReplayConnection } = require('./recording');
 
 // Configuration
 const WS_PORT = process.env.PORT || 8080;
@@ -13,6 +16,24 @@ const MUD_PORT = parseInt(process.env.MUD_PORT) || 23;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS 
   ? process.env.ALLOWED_ORIGINS.split(',') 
   : null;
+// Other MUDs a browser may ask for with ?target=host:port
+const ALLOWED_TARGETS = process.env.ALLOWED_TARGETS
+  ? process.env.ALLOWED_TARGETS.split(',').map(t => t.trim().toLowerCase())
+  : [];
+const RESUME_GRACE = (parseInt(process.env.RESUME_GRACE) || 60) * 1000;
+const REPLAY_BUFFER = parseInt(process.env.REPLAY_BUFFER) || 64 * 1024;
+
+// Debugging: record MUD traffic, or play a recording back instead of a MUD
+const RECORD_DIR = process.env.RECORD_DIR || null;
+const REPLAY_FILE = process.env.REPLAY_FILE || null;
+const REPLAY_SPEED = parseFloat(process.env.REPLAY_SPEED) >= 0
+  ? parseFloat(process.env.REPLAY_SPEED)
+  : 1;
+
+// Fail at startup rather than on the first connection
+if (REPLAY_FILE) {
+  ReplayConnection.load(REPLAY_FILE);
+}
 
 // Create WebSocket server
 const wss = new WebSocket.Server({ 
@@ -32,202 +53,344 @@ const wss = new WebSocket.Server({
 
 console.log(`🎮 MUD3 Proxy starting...`);
 console.log(`📡 WebSocket server listening on port ${WS_PORT}`);
-console.log(`🏰 Target MUD server: ${MUD_HOST}:${MUD_PORT}`);
-
-// Telnet command constants
-const IAC = 255, DO = 253, DONT = 254, WILL = 251, WONT = 252;
-const SB = 250, SE = 240;
-const ECHO = 1, SUPPRESS_GA = 3, TERMINAL_TYPE = 24, NAWS = 31;
+if (REPLAY_FILE) {
+  console.log(`📼 Replaying ${REPLAY_FILE} at ${REPLAY_SPEED ? `${REPLAY_SPEED}x speed` : 'full speed'}`);
+} else {
+  console.log(`🏰 Target MUD server: ${MUD_HOST}:${MUD_PORT}`);
+}
+if (RECORD_DIR) {
+  console.log(`⏺️  Recording sessions to ${RECORD_DIR}`);
+}
 
 /**
- * Handle telnet negotiation commands and generate responses
+ * Parse a JSON control message from the client
+ * Returns null for anything that is not a { type: ... } object
  */
-function handleTelnetNegotiation(data) {
-  const responses = [];
-  let i = 0;
-  
-  while (i < data.length) {
-    if (data[i] === IAC && i + 2 < data.length) {
-      const cmd = data[i + 1];
-      const opt = data[i + 2];
-      
-      if (cmd === DO) {
-        switch (opt) {
-          case TERMINAL_TYPE:
-            // Respond: WILL TERMINAL-TYPE
-            responses.push(IAC, WILL, TERMINAL_TYPE);
-            break;
-          case NAWS:
-            // Respond: WILL NAWS, then send window size
-            responses.push(IAC, WILL, NAWS);
-            // Send NAWS subnegotiation: 80x24
-            responses.push(IAC, SB, NAWS, 0, 80, 0, 24, IAC, SE);
-            break;
-          case ECHO:
-            // Respond: WONT ECHO (server should echo)
-            responses.push(IAC, WONT, ECHO);
-            break;
-          default:
-            // Respond: WONT for unsupported options
-            responses.push(IAC, WONT, opt);
-        }
-        i += 3;
-        continue;
-      }
-      
-      if (cmd === WILL) {
-        switch (opt) {
-          case SUPPRESS_GA:
-            // Respond: DO SUPPRESS-GO-AHEAD
-            responses.push(IAC, DO, SUPPRESS_GA);
-            break;
-          case ECHO:
-            // Respond: DO ECHO (let server echo)
-            responses.push(IAC, DO, ECHO);
-            break;
-          default:
-            // Respond: DONT for unsupported options
-            responses.push(IAC, DONT, opt);
-        }
-        i += 3;
-        continue;
-      }
-      
-      // Handle SB (subnegotiation)
-      if (cmd === SB) {
-        // Find SE
-        let j = i + 3;
-        while (j < data.length - 1) {
-          if (data[j] === IAC && data[j + 1] === SE) {
-            break;
-          }
-          j++;
-        }
-        
-        // Terminal type request
-        if (opt === TERMINAL_TYPE && data[i + 3] === 1) { // SEND
-          // Respond with terminal type "ansi"
-          responses.push(IAC, SB, TERMINAL_TYPE, 0); // IS
-          responses.push(97, 110, 115, 105); // "ansi"
-          responses.push(IAC, SE);
-        }
-        
-        i = j + 2;
-        continue;
-      }
-    }
-    i++;
+function parseControlMessage(text) {
+  if (!text.startsWith('{')) return null;
+  try {
+    const msg = JSON.parse(text);
+    return msg && typeof msg.type === 'string' ? msg : null;
+  } catch {
+    return null;
   }
-  
-  return responses;
+}
+
+/**
+ * Check the payload of a raw message: an array of integers 0-255
+ */
+function isByteArray(bytes) {
+  return Array.isArray(bytes) && bytes.every(b => Number.isInteger(b) && b >= 0 && b <= 255);
 }
 
 // Track active connections
 let connectionCount = 0;
 
-wss.on('connection', (ws, req) => {
-  const clientId = ++connectionCount;
-  const clientIP = req.socket.remoteAddress;
-  console.log(`[${clientId}] New WebSocket connection from ${clientIP}`);
+// Sessions that can be resumed, by token
+const sessions = new Map();
+
+/**
+ * Send a status message to the session's browser, if attached
+ */
+function sendStatus(session, status, extra = {}) {
+  const ws = session.ws;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'status', status, ...extra }));
+  }
+}
+
+/**
+ * Send MUD output to the browser, keeping it in the replay buffer
+ */
+function sendOutput(session, data) {
+  session.replay.push({ start: session.outputTotal, data });
+  session.outputTotal += data.length;
+  session.replayBytes += data.length;
   
-  // Create TCP connection to MUD server
-  const mudSocket = net.createConnection({
-    host: MUD_HOST,
-    port: MUD_PORT
-  });
+  // Keep the buffer bounded (always retain the newest chunk)
+  while (session.replayBytes > REPLAY_BUFFER && session.replay.length > 1) {
+    session.replayBytes -= session.replay.shift().data.length;
+  }
+  
+  const ws = session.ws;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    // Send as binary to preserve all byte values
+    ws.send(data);
+  }
+}
+
+/**
+ * Replay output the browser missed since it had received offset bytes
+ */
+function replayOutput(session, offset) {
+  for (const { start, data } of session.replay) {
+    const end = start + data.length;
+    if (end <= offset) continue;
+    session.ws.send(start < offset ? data.subarray(offset - start) : data);
+  }
+}
+
+/**
+ * Write bytes to the MUD, recording them if enabled
+ */
+function writeToMud(session, data) {
+  if (session.recorder) {
+    session.recorder.record('send', Buffer.from(data));
+  }
+  session.mudSocket.write(data);
+}
+
+/**
+ * End a session and its MUD connection
+ */
+function endSession(session) {
+  clearTimeout(session.graceTimer);
+  sessions.delete(session.token);
+  if (session.connected) {
+    session.mudSocket.end();
+  } else {
+    session.mudSocket.destroy();
+  }
+}
+
+/**
+ * Resolve a requested target ("host:port") to the MUD to connect to
+ * Returns null unless it is the default MUD or in ALLOWED_TARGETS.
+ */
+function resolveTarget(target) {
+  if (!target) {
+    return { host: MUD_HOST, port: MUD_PORT };
+  }
+  
+  const match = target.trim().toLowerCase().match(/^([a-z0-9.-]+):(\d{1,5})$/);
+  if (!match) return null;
   
-  // Track connection state
-  let connected = false;
+  const [, host, port] = match;
+  const isDefault = host === MUD_HOST.toLowerCase() && Number(port) === MUD_PORT;
+  if (!isDefault && !ALLOWED_TARGETS.includes(`${host}:${port}`)) return null;
+  
+  return { host, port: Number(port) };
+}
+
+/**
+ * Open a new MUD connection for a browser
+ */
+function createSession(ws, clientId, target) {
+  // Create TCP connection to MUD server (or play back a recording)
+  const mudSocket = REPLAY_FILE
+    ? new ReplayConnection(REPLAY_FILE, { speed: REPLAY_SPEED })
+    : net.createConnection({ host: target.host, port: target.port });
+  const host = REPLAY_FILE ? `replay of ${REPLAY_FILE}` : target.host;
+  
+  const session = {
+    id: clientId,
+    host,
+    token: crypto.randomBytes(24).toString('base64url'),
+    ws: null,
+    mudSocket,
+    connected: false,
+    graceTimer: null,
+    // Replay buffer: chunks tagged with their offset in the output stream
+    replay: [],
+    replayBytes: 0,
+    outputTotal: 0,
+    // Telnet option negotiation for this connection
+    telnet: new TelnetSession(),
+    recorder: RECORD_DIR
+      ? new SessionRecorder(RECORD_DIR, { clientId, host: target.host, port: target.port })
+      : null
+  };
+  session.telnet.onSend = (bytes) => writeToMud(session, bytes);
+  if (session.recorder) {
+    console.log(`[${session.id}] Recording to ${session.recorder.file}`);
+  }
+  sessions.set(session.token, session);
   
   mudSocket.on('connect', () => {
-    connected = true;
-    console.log(`[${clientId}] Connected to MUD server`);
+    session.connected = true;
+    console.log(`[${session.id}] Connected to MUD server`);
     
-    // Notify client of successful connection
-    ws.send(JSON.stringify({ 
-      type: 'status', 
-      status: 'connected',
-      host: MUD_HOST 
-    }));
+    // Notify client of successful connection, with its resume token
+    sendStatus(session, 'connected', {
+      host,
+      token: session.token
+    });
   });
   
   // Relay data from MUD to WebSocket (as binary/arraybuffer)
   mudSocket.on('data', (data) => {
-    // Handle telnet negotiation automatically
-    const response = handleTelnetNegotiation(data);
-    if (response && response.length > 0) {
-      mudSocket.write(Buffer.from(response));
+    if (session.recorder) {
+      session.recorder.record('recv', data);
     }
     
-    if (ws.readyState === WebSocket.OPEN) {
-      // Send as binary to preserve all byte values
-      ws.send(data);
+    // Answer telnet negotiation and strip it from the stream
+    data = session.telnet.receive(data);
+    
+    if (data.length > 0) {
+      sendOutput(session, data);
     }
   });
   
   mudSocket.on('error', (err) => {
-    console.log(`[${clientId}] MUD socket error:`, err.message);
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ 
-        type: 'status', 
-        status: 'error', 
-        message: err.message 
-      }));
-    }
+    console.log(`[${session.id}] MUD socket error:`, err.message);
+    sendStatus(session, 'error', { message: err.message });
   });
   
   mudSocket.on('close', () => {
-    console.log(`[${clientId}] MUD connection closed`);
-    connected = false;
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ 
-        type: 'status', 
-        status: 'disconnected' 
-      }));
-      ws.close();
+    console.log(`[${session.id}] MUD connection closed`);
+    session.connected = false;
+    clearTimeout(session.graceTimer);
+    sessions.delete(session.token);
+    if (session.recorder) {
+      session.recorder.close();
+    }
+    
+    sendStatus(session, 'disconnected');
+    if (session.ws && session.ws.readyState === WebSocket.OPEN) {
+      session.ws.close();
     }
   });
   
+  attachSocket(session, ws);
+  return session;
+}
+
+/**
+ * Reattach a browser to a held session and send what it missed
+ */
+function resumeSession(session, ws, offset) {
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  
+  // A stale socket may not have noticed it is dead yet
+  const old = session.ws;
+  attachSocket(session, ws);
+  if (old && old.readyState === WebSocket.OPEN) {
+    old.close(4000, 'Session resumed elsewhere');
+  }
+  
+  if (!Number.isFinite(offset) || offset > session.outputTotal) {
+    offset = session.outputTotal;
+  }
+  
+  // Missed output is only complete if the buffer still reaches back to
+  // offset; otherwise the replay starts at the oldest output kept, and the
+  // browser counts on from there
+  const first = session.replay.length ? session.replay[0].start : session.outputTotal;
+  sendStatus(session, 'resumed', {
+    host: session.host,
+    token: session.token,
+    complete: offset >= first,
+    offset: Math.max(offset, first)
+  });
+  replayOutput(session, offset);
+}
+
+/**
+ * Pass a browser message on to the MUD
+ * @throws {Error} If a control message is malformed
+ */
+function handleClientMessage(session, message, isBinary) {
+  // Binary messages are raw bytes
+  if (isBinary) {
+    writeToMud(session, message);
+    return;
+  }
+  
+  // Text messages are either JSON control messages or plain commands
+  const cmd = parseControlMessage(message.toString());
+  if (!cmd) {
+    writeToMud(session, message);
+    return;
+  }
+  
+  switch (cmd.type) {
+    case 'data':
+      if (typeof cmd.data !== 'string') {
+        throw new Error('data message without a string');
+      }
+      writeToMud(session, cmd.data);
+      break;
+    case 'raw':
+      // Raw bytes as array
+      if (!isByteArray(cmd.bytes)) {
+        throw new Error('raw message without an array of bytes 0-255');
+      }
+      writeToMud(session, Buffer.from(cmd.bytes));
+      break;
+    case 'naws':
+      // Window size from the browser - sent only if NAWS is agreed
+      session.telnet.setWindowSize(cmd.width, cmd.height);
+      break;
+  }
+}
+
+/**
+ * Bind a browser WebSocket to a session
+ */
+function attachSocket(session, ws) {
+  session.ws = ws;
+  
   // Relay data from WebSocket to MUD
-  ws.on('message', (message) => {
-    if (!connected) {
-      console.log(`[${clientId}] Ignoring message - not connected to MUD`);
+  ws.on('message', (message, isBinary) => {
+    if (session.ws !== ws) return;
+    
+    if (!session.connected) {
+      console.log(`[${session.id}] Ignoring message - not connected to MUD`);
       return;
     }
     
-    // Handle both string and binary messages
-    if (Buffer.isBuffer(message)) {
-      mudSocket.write(message);
-    } else {
-      // Parse JSON commands from client
-      try {
-        const cmd = JSON.parse(message);
-        if (cmd.type === 'data') {
-          mudSocket.write(cmd.data);
-        } else if (cmd.type === 'raw') {
-          // Raw bytes as array
-          mudSocket.write(Buffer.from(cmd.bytes));
-        }
-      } catch {
-        // Plain text command - send directly
-        mudSocket.write(message);
-      }
+    // A bad message must not take the proxy (and every session) down
+    try {
+      handleClientMessage(session, message, isBinary);
+    } catch (err) {
+      console.log(`[${session.id}] Rejected message:`, err.message);
     }
   });
   
-  ws.on('close', () => {
-    console.log(`[${clientId}] WebSocket closed`);
-    if (connected) {
-      mudSocket.end();
+  ws.on('close', (code) => {
+    console.log(`[${session.id}] WebSocket closed (${code})`);
+    if (session.ws !== ws) return;
+    session.ws = null;
+    
+    // A normal close is a deliberate disconnect; anything else may come back
+    if (code === 1000 || !session.connected) {
+      endSession(session);
+      return;
     }
+    
+    console.log(`[${session.id}] Holding MUD connection for ${RESUME_GRACE / 1000}s`);
+    session.graceTimer = setTimeout(() => {
+      console.log(`[${session.id}] Resume grace period expired`);
+      endSession(session);
+    }, RESUME_GRACE);
   });
   
   ws.on('error', (err) => {
-    console.log(`[${clientId}] WebSocket error:`, err.message);
-    if (connected) {
-      mudSocket.end();
-    }
+    console.log(`[${session.id}] WebSocket error:`, err.message);
   });
+}
+
+wss.on('connection', (ws, req) => {
+  const clientId = ++connectionCount;
+  const clientIP = req.socket.remoteAddress;
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const session = sessions.get(params.get('resume'));
+  
+  if (session) {
+    console.log(`[${session.id}] Resumed by WebSocket from ${clientIP}`);
+    resumeSession(session, ws, parseInt(params.get('offset')));
+  } else {
+    console.log(`[${clientId}] New WebSocket connection from ${clientIP}`);
+    const target = resolveTarget(params.get('target'));
+    if (!target) {
+      console.log(`[${clientId}] Refused target ${params.get('target')}`);
+      ws.send(JSON.stringify({ type: 'status', status: 'error', message: 'Target not allowed by this proxy' }));
+      ws.close(1008, 'Target not allowed');
+      return;
+    }
+    createSession(ws, clientId, target);
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,419 @@
+/**
+ * Telnet Protocol Handler
+ * Per-connection option negotiation (RFC 854 / RFC 1143 Q-method)
+ */
+
+// Telnet command constants
+const IAC = 255, DONT = 254, DO = 253, WONT = 252, WILL = 251;
+const SB = 250, GA = 249, SE = 240;
+const ECHO = 1, SUPPRESS_GA = 3, TERMINAL_TYPE = 24, NAWS = 31;
+
+// Subnegotiation verbs
+const TTYPE_IS = 0, TTYPE_SEND = 1;
+
+// Q-method option states
+const NO = 'NO', YES = 'YES', WANTNO = 'WANTNO', WANTYES = 'WANTYES';
+const EMPTY = 'EMPTY', OPPOSITE = 'OPPOSITE';
+
+// Parser states
+const S_DATA = 0, S_IAC = 1, S_OPTION = 2, S_SB = 3, S_SB_IAC = 4;
+
+// Longest subnegotiation we are willing to buffer
+const MAX_SB_LENGTH = 1024;
+
+// ESC - C, which switches MUD2 to client mode
+const CLIENT_MODE_ON = [0x1B, 0x2D, 0x43];
+
+// Longest MUD2 client code, lead byte to terminator (as in mud2.js)
+const MAX_CODE_LENGTH = 21;
+
+class TelnetSession {
+  /**
+   * @param {Object} options
+   * @param {number[]} options.localOptions - Options we agree to perform (WILL)
+   * @param {number[]} options.remoteOptions - Options we let the server perform (DO)
+   * @param {string} options.terminalType - Reply to TERMINAL-TYPE SEND
+   * @param {number} options.width - Initial NAWS width
+   * @param {number} options.height - Initial NAWS height
+   */
+  constructor(options = {}) {
+    this.options = {
+      localOptions: [TERMINAL_TYPE, NAWS],
+      remoteOptions: [SUPPRESS_GA, ECHO],
+      terminalType: 'ansi',
+      width: 80,
+      height: 24,
+      ...options
+    };
+    
+    this.width = this.options.width;
+    this.height = this.options.height;
+    
+    // Per-option Q-method state: { us, usq, him, himq }
+    this.optionStates = new Map();
+    
+    // Parser state survives between receive() calls
+    this.state = S_DATA;
+    this.command = 0;
+    this.sbBuffer = [];
+    
+    // MUD2 terminates client codes (0x9B-0xFE) with a bare 0xFF, which is
+    // data, not IAC. Codes are only sent once the server has switched to
+    // client mode; before that those bytes are Latin-1 text.
+    this.clientMode = false;
+    this.clientModeMatched = 0; // Bytes of ESC - C seen so far
+    this.codeLength = 0;        // Bytes of the client code being read, 0 outside one
+    
+    // Event callbacks
+    this.onSend = null;         // (Buffer) - bytes to write to the server
+    this.onOptionChange = null; // (side, option, enabled)
+  }
+  
+  /**
+   * Get (and lazily create) the Q-method state for an option
+   */
+  getOption(opt) {
+    let state = this.optionStates.get(opt);
+    if (!state) {
+      state = { us: NO, usq: EMPTY, him: NO, himq: EMPTY };
+      this.optionStates.set(opt, state);
+    }
+    return state;
+  }
+  
+  /**
+   * Is an option currently enabled on our side?
+   */
+  isLocalEnabled(opt) {
+    return this.getOption(opt).us === YES;
+  }
+  
+  /**
+   * Is an option currently enabled on the server side?
+   */
+  isRemoteEnabled(opt) {
+    return this.getOption(opt).him === YES;
+  }
+  
+  /**
+   * Process bytes from the server
+   * Negotiation is answered through onSend and stripped from the result.
+   * @param {Buffer} data - Raw bytes from the MUD socket
+   * @returns {Buffer} Application data to forward to the browser
+   */
+  receive(data) {
+    const out = [];
+    
+    for (let i = 0; i < data.length; i++) {
+      const byte = data[i];
+      
+      switch (this.state) {
+        case S_DATA:
+          if (byte === IAC && !this.codeLength) {
+            this.state = S_IAC;
+          } else {
+            out.push(byte);
+            this.trackClientCode(byte);
+          }
+          break;
+        
+        case S_IAC:
+          this.state = S_DATA;
+          if (byte === IAC) {
+            // Escaped literal 255
+            out.push(IAC);
+          } else if (byte >= WILL && byte <= DONT) {
+            this.command = byte;
+            this.state = S_OPTION;
+          } else if (byte === SB) {
+            this.sbBuffer = [];
+            this.state = S_SB;
+          } else if (byte < SE) {
+            // Not a telnet command - keep both bytes as data
+            out.push(IAC, byte);
+          }
+          // Other two-byte commands (GA, NOP, AYT...) are dropped
+          break;
+        
+        case S_OPTION:
+          this.state = S_DATA;
+          this.handleCommand(this.command, byte);
+          break;
+        
+        case S_SB:
+          if (byte === IAC) {
+            this.state = S_SB_IAC;
+          } else if (this.sbBuffer.length < MAX_SB_LENGTH) {
+            this.sbBuffer.push(byte);
+          }
+          break;
+        
+        case S_SB_IAC:
+          if (byte === SE) {
+            this.state = S_DATA;
+            this.handleSubnegotiation(this.sbBuffer);
+            this.sbBuffer = [];
+          } else {
+            // IAC IAC inside SB is a literal 255
+            if (byte === IAC && this.sbBuffer.length < MAX_SB_LENGTH) {
+              this.sbBuffer.push(IAC);
+            }
+            this.state = S_SB;
+          }
+          break;
+      }
+    }
+    
+    return Buffer.from(out);
+  }
+  
+  /**
+   * Follow MUD2 client codes in the data, so the 0xFF ending one is not
+   * taken for IAC
+   * A code is a lead byte from 0x9B to 0xFE, any arguments in the same
+   * range, and the 0xFF terminator; anything else ends it early.
+   */
+  trackClientCode(byte) {
+    if (byte === CLIENT_MODE_ON[this.clientModeMatched]) {
+      this.clientModeMatched++;
+      if (this.clientModeMatched === CLIENT_MODE_ON.length) {
+        this.clientMode = true;
+        this.clientModeMatched = 0;
+      }
+    } else {
+      this.clientModeMatched = byte === CLIENT_MODE_ON[0] ? 1 : 0;
+    }
+    
+    if (!this.clientMode) return;
+    
+    if (this.codeLength) {
+      const inCode = byte >= 155 && byte <= 254 && this.codeLength < MAX_CODE_LENGTH - 1;
+      this.codeLength = inCode ? this.codeLength + 1 : 0;
+    } else if (byte >= 155 && byte <= 254) {
+      this.codeLength = 1;
+    }
+  }
+  
+  /**
+   * Handle a received WILL/WONT/DO/DONT
+   */
+  handleCommand(cmd, opt) {
+    switch (cmd) {
+      case WILL:
+        this.receiveEnable('him', opt);
+        break;
+      case WONT:
+        this.receiveDisable('him', opt);
+        break;
+      case DO:
+        this.receiveEnable('us', opt);
+        break;
+      case DONT:
+        this.receiveDisable('us', opt);
+        break;
+    }
+  }
+  
+  /**
+   * Received WILL (side 'him') or DO (side 'us')
+   */
+  receiveEnable(side, opt) {
+    const state = this.getOption(opt);
+    const q = side + 'q';
+    const supported = side === 'us'
+      ? this.options.localOptions.includes(opt)
+      : this.options.remoteOptions.includes(opt);
+    
+    switch (state[side]) {
+      case NO:
+        if (supported) {
+          this.sendCommand(side, true, opt);
+          this.setState(side, opt, YES);
+        } else {
+          this.sendCommand(side, false, opt);
+        }
+        break;
+      case YES:
+        // Already enabled - ignore to avoid negotiation loops
+        break;
+      case WANTNO:
+        if (state[q] === EMPTY) {
+          // Server answered our refusal with agreement - protocol error
+          this.setState(side, opt, NO);
+        } else {
+          state[q] = EMPTY;
+          this.setState(side, opt, YES);
+        }
+        break;
+      case WANTYES:
+        if (state[q] === EMPTY) {
+          this.setState(side, opt, YES);
+        } else {
+          state[q] = EMPTY;
+          state[side] = WANTNO;
+          this.sendCommand(side, false, opt);
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Received WONT (side 'him') or DONT (side 'us')
+   */
+  receiveDisable(side, opt) {
+    const state = this.getOption(opt);
+    const q = side + 'q';
+    
+    switch (state[side]) {
+      case NO:
+        break;
+      case YES:
+        this.setState(side, opt, NO);
+        this.sendCommand(side, false, opt);
+        break;
+      case WANTNO:
+        if (state[q] === EMPTY) {
+          this.setState(side, opt, NO);
+        } else {
+          state[q] = EMPTY;
+          state[side] = WANTYES;
+          this.sendCommand(side, true, opt);
+        }
+        break;
+      case WANTYES:
+        state[q] = EMPTY;
+        this.setState(side, opt, NO);
+        break;
+    }
+  }
+  
+  /**
+   * Ask to enable an option on our side (WILL) or the server's (DO)
+   */
+  requestEnable(side, opt) {
+    const state = this.getOption(opt);
+    const q = side + 'q';
+    
+    switch (state[side]) {
+      case NO:
+        state[side] = WANTYES;
+        this.sendCommand(side, true, opt);
+        break;
+      case WANTNO:
+        state[q] = OPPOSITE;
+        break;
+      case WANTYES:
+        state[q] = EMPTY;
+        break;
+    }
+  }
+  
+  /**
+   * Ask to disable an option on our side (WONT) or the server's (DONT)
+   */
+  requestDisable(side, opt) {
+    const state = this.getOption(opt);
+    const q = side + 'q';
+    
+    switch (state[side]) {
+      case YES:
+        state[side] = WANTNO;
+        this.sendCommand(side, false, opt);
+        break;
+      case WANTNO:
+        state[q] = EMPTY;
+        break;
+      case WANTYES:
+        state[q] = OPPOSITE;
+        break;
+    }
+  }
+  
+  /**
+   * Update an option state and react to it becoming enabled/disabled
+   */
+  setState(side, opt, value) {
+    const state = this.getOption(opt);
+    const wasEnabled = state[side] === YES;
+    state[side] = value;
+    
+    const enabled = value === YES;
+    if (enabled === wasEnabled) return;
+    
+    // Window size must follow as soon as NAWS is agreed
+    if (side === 'us' && opt === NAWS && enabled) {
+      this.sendNAWS();
+    }
+    
+    if (this.onOptionChange) {
+      this.onOptionChange(side, opt, enabled);
+    }
+  }
+  
+  /**
+   * Send WILL/WONT (our side) or DO/DONT (server side)
+   */
+  sendCommand(side, enable, opt) {
+    const cmd = side === 'us'
+      ? (enable ? WILL : WONT)
+      : (enable ? DO : DONT);
+    this.send([IAC, cmd, opt]);
+  }
+  
+  /**
+   * Handle a completed subnegotiation (bytes between IAC SB and IAC SE)
+   */
+  handleSubnegotiation(bytes) {
+    const opt = bytes[0];
+    
+    if (opt === TERMINAL_TYPE && bytes[1] === TTYPE_SEND && this.isLocalEnabled(TERMINAL_TYPE)) {
+      const reply = [IAC, SB, TERMINAL_TYPE, TTYPE_IS];
+      for (const ch of this.options.terminalType) {
+        reply.push(ch.charCodeAt(0));
+      }
+      reply.push(IAC, SE);
+      this.send(reply);
+    }
+  }
+  
+  /**
+   * Update the window size, sending it if NAWS is active
+   */
+  setWindowSize(width, height) {
+    width = Math.max(0, Math.min(0xFFFF, width | 0));
+    height = Math.max(0, Math.min(0xFFFF, height | 0));
+    if (width === this.width && height === this.height) return;
+    
+    this.width = width;
+    this.height = height;
+    this.sendNAWS();
+  }
+  
+  /**
+   * Send the current window size (only once NAWS has been agreed)
+   */
+  sendNAWS() {
+    if (!this.isLocalEnabled(NAWS)) return;
+    
+    const bytes = [IAC, SB, NAWS];
+    for (const value of [this.width >> 8, this.width, this.height >> 8, this.height]) {
+      const b = value & 0xFF;
+      bytes.push(b);
+      if (b === IAC) bytes.push(IAC); // Escape 255 inside SB
+    }
+    bytes.push(IAC, SE);
+    this.send(bytes);
+  }
+  
+  send(bytes) {
+    if (this.onSend) {
+      this.onSend(Buffer.from(bytes));
+    }
+  }
+}
+
+module.exports = {
+  TelnetSession,
+  IAC, DONT, DO, WONT, WILL, SB, GA, SE,
+  ECHO, SUPPRESS_GA, TERMINAL_TYPE, NAWS
+};
@@ -0,0 +1,38 @@
+/**
+ * Control messages from the browser
+ * Malformed messages are dropped without affecting the session or the
+ * proxy process.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, startMud, connect, waitFor } = require('./helpers');
+
+test('malformed data and raw messages are rejected', async () => {
+  const mud = await startMud();
+  const proxy = await startProxy({ MUD_HOST: 'localhost', MUD_PORT: String(mud.port) });
+  after(() => Promise.all([proxy.stop(), mud.close()]));
+
+  const client = await connect(proxy.url);
+  await client.status('connected');
+
+  client.send({ type: 'raw' });
+  client.send({ type: 'raw', bytes: 'abc' });
+  client.send({ type: 'raw', bytes: [72, 300] });
+  client.send({ type: 'raw', bytes: [72, 1.5] });
+  client.send({ type: 'data' });
+  client.send({ type: 'data', data: { text: 'x' } });
+  client.send({ type: 'raw', bytes: [104, 105] });
+  client.send({ type: 'data', data: ' there\r\n' });
+
+  await waitFor(() => mud.received.toString().endsWith('\r\n'), 'the valid messages');
+  assert.equal(mud.received.toString('latin1'), 'hi there\r\n');
+  assert.equal(proxy.exitCode, null, 'the proxy is still running');
+  assert.equal(client.ws.readyState, client.ws.OPEN);
+
+  // A second browser can still connect
+  const other = await connect(proxy.url);
+  await other.status('connected');
+  other.close();
+  client.close();
+});
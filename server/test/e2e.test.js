@@ -0,0 +1,106 @@
+/**
+ * End to end: browser stand-in -> proxy -> MUD2 simulator
+ * The browser side runs the client's own MUD2 and ANSI parsers over what
+ * the proxy forwards, the way MUD3Session does, so a login in client mode
+ * is checked from the socket all the way to coloured text segments.
+ * Everything runs on local ports; run it alone with `npm run test:e2e`.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freePort, startProxy, connect, waitFor } = require('./helpers');
+const { startSimulator } = require('../mud2sim');
+const MUD2Protocol = require('../../client/js/mud2.js');
+const ANSIParser = require('../../client/js/ansi.js');
+
+/**
+ * What the browser makes of the output so far
+ * read() parses any bytes that have arrived since the last call.
+ */
+function browser(client) {
+  const mud2 = new MUD2Protocol();
+  const ansi = new ANSIParser();
+  const view = { text: '', segments: [], commands: [], stats: [], account: null };
+  let seen = 0;
+
+  mud2.onStatsUpdate = (stats) => view.stats.push({ ...stats });
+  mud2.onAccount = (account) => { view.account = { ...account }; };
+
+  view.read = () => {
+    const data = client.data.subarray(seen);
+    seen = client.data.length;
+
+    const { cleanData, commands } = mud2.parse(data);
+    view.text += ansi.bytesToString(cleanData);
+    let start = 0;
+    for (const cmd of commands) {
+      view.segments.push(...ansi.parse(cleanData.subarray(start, cmd.offset)));
+      start = cmd.offset;
+      view.commands.push(cmd);
+      if (cmd.type === 'promptStart') {
+        ansi.reset();
+      } else if (cmd.fg !== undefined) {
+        ansi.setColors(cmd.fg, cmd.bg);
+      }
+    }
+    view.segments.push(...ansi.parse(cleanData.subarray(start)));
+    return view;
+  };
+
+  view.waitForText = (text) => waitFor(() => view.read().text.includes(text), `"${text.trim()}"`);
+  return view;
+}
+
+test('log in to the simulator in client mode through the proxy', async () => {
+  const simPort = await freePort();
+  const sim = startSimulator(simPort);
+  await new Promise(resolve => sim.once('listening', resolve));
+  const proxy = await startProxy({ MUD_HOST: 'localhost', MUD_PORT: String(simPort) });
+
+  const client = await connect(proxy.url);
+  after(async () => {
+    client.close();
+    await proxy.stop();
+    await new Promise(resolve => sim.close(resolve));
+  });
+  await client.status('connected');
+  const view = browser(client);
+
+  await view.waitForText('Account ID: ');
+  client.ws.send(Buffer.from(MUD2Protocol.getClientModeRequest()));
+  await waitFor(() => view.read().account, 'the account header');
+  assert.deepEqual(view.account, { id: 'A0001', licence: 'L', privs: 0 });
+  assert.ok(view.commands.some(c => c.type === 'clientModeStart'));
+
+  client.send('A0001\r\n');
+  await view.waitForText('Password: ');
+  client.send('secret\r\n');
+  await view.waitForText('By what name shall you be known? ');
+  client.send('tester\r\n');
+  await view.waitForText('Welcome, Tester!');
+  await waitFor(() => view.read().stats.length, 'an FES line');
+
+  // FES lines become stats, never text
+  assert.equal(view.stats[0].score, 1200);
+  assert.equal(view.stats[0].stamina, 100);
+  assert.doesNotMatch(view.text, /\d+ \d+ \d+ \d+ \d+ \d+ \d+ \d+ \d+ [YN]/);
+  assert.ok(![...Buffer.from(view.text, 'latin1')].some(b => b >= 155), 'no client code bytes leak');
+
+  // The room title is coloured by a client code
+  await view.waitForText('Narrow road.');
+  const title = view.segments.find(s => s.text?.includes('Narrow road.'));
+  assert.equal(title.attrs.fg, 6);
+  const body = view.segments.find(s => s.text?.includes('narrow road running'));
+  assert.equal(body.attrs.fg, 7);
+
+  // ANSI colours pass through untouched
+  client.send('colours\r\n');
+  await view.waitForText('reverse');
+  const segment = (text) => view.segments.find(s => s.text === text);
+  assert.equal(segment('31 ').attrs.fg, 1);
+  assert.equal(segment('34 ').attrs.fg, 4);
+  assert.equal(segment('44 ').attrs.bg, 4);
+  assert.equal(segment('bold').attrs.bold, true);
+  assert.equal(segment('underline').attrs.underline, true);
+  assert.deepEqual([segment('reverse').attrs.fg, segment('reverse').attrs.bg], [0, 7]);
+});
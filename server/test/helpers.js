@@ -0,0 +1,146 @@
+/**
+ * Test helpers: a proxy process, a scripted MUD and a browser stand-in,
+ * all on local ports
+ */
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+/**
+ * A port nothing is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Resolve once check() returns something truthy, polling every few ms
+ * @throws {Error} After timeout ms
+ */
+async function waitFor(check, what, timeout = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() - started > timeout) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Start server.js as a child process
+ * @param {Object} env - Extra environment (MUD_HOST, MUD_PORT...)
+ * @returns {Promise<Object>} { port, url, log, exitCode, stop }
+ */
+async function startProxy(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const proxy = {
+    port,
+    url: `ws://localhost:${port}`,
+    log: '',
+    exitCode: null,
+    stop() {
+      if (proxy.exitCode !== null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+  };
+  child.stdout.on('data', (data) => { proxy.log += data; });
+  child.stderr.on('data', (data) => { proxy.log += data; });
+  child.on('exit', (code) => { proxy.exitCode = code ?? -1; });
+
+  await waitFor(() => proxy.log.includes('WebSocket server listening') || proxy.exitCode !== null, 'the proxy');
+  if (proxy.exitCode !== null) {
+    throw new Error(`Proxy exited: ${proxy.log}`);
+  }
+  return proxy;
+}
+
+/**
+ * A MUD that records what it receives and lets the test write to it
+ * @returns {Promise<Object>} { port, received, socket, write, close }
+ */
+async function startMud() {
+  const mud = {
+    port: 0,
+    received: Buffer.alloc(0),
+    socket: null,
+    write(data) {
+      mud.socket.write(data);
+    },
+    close() {
+      mud.socket?.destroy();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    mud.socket = socket;
+    socket.on('data', (data) => { mud.received = Buffer.concat([mud.received, data]); });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  mud.port = server.address().port;
+  return mud;
+}
+
+/**
+ * A browser connection: collects status messages and MUD output
+ * @returns {Promise<Object>} { ws, statuses, data, status(name), send, drop, close }
+ */
+async function connect(url) {
+  const ws = new WebSocket(url);
+  const client = {
+    ws,
+    statuses: [],
+    data: Buffer.alloc(0),
+    status(name) {
+      return waitFor(() => client.statuses.find(s => s.status === name), `status ${name}`);
+    },
+    send(message) {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    },
+    // Lose the connection without a close frame, as a dropped network would
+    drop() {
+      ws.terminate();
+    },
+    close() {
+      ws.close(1000);
+    }
+  };
+
+  ws.on('message', (message, isBinary) => {
+    if (isBinary) {
+      client.data = Buffer.concat([client.data, message]);
+    } else {
+      client.statuses.push(JSON.parse(message.toString()));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return client;
+}
+
+module.exports = { freePort, waitFor, startProxy, startMud, connect };
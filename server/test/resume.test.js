@@ -0,0 +1,75 @@
+/**
+ * Session resume
+ * The browser drops and comes back with its token and the number of
+ * output bytes it has seen; it must get exactly what it missed.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, startMud, connect, waitFor } = require('./helpers');
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('resuming twice with output in between shows nothing twice', async () => {
+  const mud = await startMud();
+  const proxy = await startProxy({
+    MUD_HOST: 'localhost',
+    MUD_PORT: String(mud.port),
+    REPLAY_BUFFER: '64'
+  });
+  after(() => Promise.all([proxy.stop(), mud.close()]));
+
+  const held = (count) => waitFor(
+    () => proxy.log.split('Holding MUD connection').length > count,
+    'the proxy to hold the session'
+  );
+
+  // Bytes of output seen, counted the way MUD3Session does
+  let received = 0;
+  const resume = async (token) => {
+    const client = await connect(`${proxy.url}/?resume=${token}&offset=${received}`);
+    const status = await client.status('resumed');
+    if (Number.isFinite(status.offset)) {
+      received = status.offset;
+    }
+    return { client, status };
+  };
+
+  const first = await connect(proxy.url);
+  const { token } = await first.status('connected');
+  mud.write('Welcome.\r\n');
+  await waitFor(() => first.data.length === 10, 'the welcome');
+  received += first.data.length;
+
+  // First drop: more output than the replay buffer holds
+  first.drop();
+  await held(1);
+  const missed = [];
+  for (let i = 0; i < 6; i++) {
+    missed.push(`Line ${i} of output that the browser did not see.\r\n`);
+    mud.write(missed[i]);
+    await pause(20);
+  }
+  await pause(100);
+
+  const second = await resume(token);
+  assert.equal(second.status.complete, false);
+  const tail = missed[missed.length - 1];
+  await waitFor(() => second.client.data.toString().endsWith(tail), 'the replay');
+  assert.ok(missed.join('').endsWith(second.client.data.toString()), 'the replay is the newest output');
+  received += second.client.data.length;
+
+  // Second drop: a little more output, all of it still buffered
+  second.client.drop();
+  await held(2);
+  mud.write('You are hungry.\r\n');
+  await pause(100);
+
+  const third = await resume(token);
+  assert.equal(third.status.complete, true);
+  await waitFor(() => third.client.data.length >= 17, 'the second replay');
+  await pause(100);
+  assert.equal(third.client.data.toString(), 'You are hungry.\r\n');
+
+  third.client.close();
+});
@@ -0,0 +1,72 @@
+/**
+ * TelnetSession tests
+ * Each fixture in fixtures/telnet.json gives the bytes from the server, the
+ * data that must reach the browser and the replies that must go back. The
+ * bytes are written as telnet names (IAC, DO, NAWS...), byte values and
+ * Latin-1 text. Every fixture is also fed split at each offset, since
+ * negotiation may be cut anywhere by TCP.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/telnet.json');
+const { TelnetSession } = require('../telnet');
+
+const NAMES = {
+  IAC: 255, DONT: 254, DO: 253, WONT: 252, WILL: 251, SB: 250, GA: 249, NOP: 241, SE: 240,
+  ECHO: 1, SGA: 3, TTYPE: 24, NAWS: 31, ESC: 27
+};
+
+function bytes(tokens) {
+  return Buffer.concat(tokens.map(token => {
+    if (typeof token === 'number') return Buffer.from([token]);
+    if (token in NAMES) return Buffer.from([NAMES[token]]);
+    return Buffer.from(token, 'latin1');
+  }));
+}
+
+/**
+ * Run the chunks through a fresh session
+ * @returns {Object} { output, replies } as Buffers
+ */
+function run(chunks, size) {
+  const telnet = new TelnetSession();
+  const replies = [];
+  telnet.onSend = (data) => replies.push(data);
+
+  const output = chunks.map(chunk => telnet.receive(chunk));
+  if (size) {
+    telnet.setWindowSize(...size);
+  }
+  return { output: Buffer.concat(output), replies: Buffer.concat(replies) };
+}
+
+for (const fixture of fixtures) {
+  const input = bytes(fixture.input);
+  const expected = { output: bytes(fixture.output), replies: bytes(fixture.replies) };
+
+  test(fixture.name, () => {
+    assert.deepEqual(run([input], fixture.size), expected);
+  });
+
+  test(`${fixture.name} (split at every offset)`, () => {
+    for (let i = 1; i < input.length; i++) {
+      const result = run([input.subarray(0, i), input.subarray(i)], fixture.size);
+      assert.deepEqual(result, expected, `split at byte ${i}`);
+    }
+    const single = [...input].map(b => Buffer.from([b]));
+    assert.deepEqual(run(single, fixture.size), expected, 'one byte at a time');
+  });
+}
+
+test('option state follows the negotiation', () => {
+  const telnet = new TelnetSession();
+  const changes = [];
+  telnet.onOptionChange = (side, option, enabled) => changes.push([side, option, enabled]);
+
+  telnet.receive(bytes(['IAC', 'DO', 'NAWS', 'IAC', 'WILL', 'SGA', 'IAC', 'DONT', 'NAWS']));
+
+  assert.equal(telnet.isLocalEnabled(NAMES.NAWS), false);
+  assert.equal(telnet.isRemoteEnabled(NAMES.SGA), true);
+  assert.deepEqual(changes, [['us', NAMES.NAWS, true], ['him', NAMES.SGA, true], ['us', NAMES.NAWS, false]]);
+});
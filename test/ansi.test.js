@@ -0,0 +1,160 @@
+/**
+ * ANSIParser tests
+ * The SGR table follows the ANSI Support table in the README: each row is
+ * the codes sent, the state before them, and the attributes the text that
+ * follows must have.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ANSIParser = require('../client/js/ansi.js');
+
+const STATE = ['foreground', 'background', 'bold', 'dim', 'italic', 'underline', 'blink', 'reverse', 'hidden', 'strike'];
+
+function state(parser) {
+  return Object.fromEntries(STATE.map(key => [key, parser[key]]));
+}
+
+test('getSGR recreates the state on a fresh parser', () => {
+  const cases = [
+    (p) => p.reset(),
+    (p) => p.setColors('cyan'),
+    (p) => p.setColors('black', 'cyan'),
+    (p) => p.setColors('lightgreen', 'blue'),
+    (p) => { p.setColors('red'); p.reverse = true; },
+    (p) => p.parseSGR('1;2;3;4;5;7;8;9;33;44'),
+    (p) => p.parseSGR('38;5;196;48;5;17'),
+    (p) => p.parseSGR('38;2;1;128;255;48;2;0;0;0'),
+    (p) => p.parseSGR('97;100;4')
+  ];
+
+  for (const set of cases) {
+    const parser = new ANSIParser();
+    parser.parseSGR('1;4;31');
+    set(parser);
+
+    // Start from some other state: the sequence must not depend on it
+    const replay = new ANSIParser();
+    replay.parseSGR('3;7;45;92');
+    replay.parse(parser.getSGR());
+    assert.deepEqual(state(replay), state(parser), JSON.stringify(parser.getSGR()));
+  }
+});
+
+test('getSGR is a plain reset in the default state', () => {
+  assert.equal(new ANSIParser().getSGR(), '\x1b[0m');
+});
+
+/**
+ * Attributes of text after ESC [ before m ESC [ params m
+ */
+function sgr(params, before = '') {
+  const parser = new ANSIParser();
+  const segments = parser.parse(`\x1b[${before}m\x1b[${params}mX`);
+  return segments.find(s => s.text === 'X').attrs;
+}
+
+const DEFAULT = { fg: 7, bg: 0, bold: false, dim: false, italic: false, underline: false, blink: false, hidden: false, strike: false };
+const STYLED = '1;2;3;4;5;7;8;9;31;44';
+
+const SGR_TABLE = [
+  // Resets
+  ['0', STYLED, DEFAULT],
+  ['', STYLED, DEFAULT],
+  ['31;;44', '1', { fg: 7, bg: 4, bold: false }],
+
+  // Attributes on
+  ['1', '', { bold: true, fg: 15 }],
+  ['1;31', '', { bold: true, fg: 9 }],
+  ['2', '', { dim: true }],
+  ['3', '', { italic: true }],
+  ['4', '', { underline: true }],
+  ['21', '', { underline: true }],
+  ['5', '', { blink: true }],
+  ['6', '', { blink: true }],
+  ['7', '31;42', { fg: 2, bg: 1 }],
+  ['8', '', { hidden: true }],
+  ['9', '', { strike: true }],
+
+  // Attributes off
+  ['22', '1;2;31', { bold: false, dim: false, fg: 1 }],
+  ['23', '3', { italic: false }],
+  ['24', '4', { underline: false }],
+  ['25', '5', { blink: false }],
+  ['27', '7;31', { fg: 1, bg: 0 }],
+  ['28', '8', { hidden: false }],
+  ['29', '9', { strike: false }],
+
+  // 16 colours
+  ...[0, 1, 2, 3, 4, 5, 6, 7].flatMap(n => [
+    [`${30 + n}`, '', { fg: n }],
+    [`${40 + n}`, '', { bg: n }],
+    [`${90 + n}`, '', { fg: n + 8 }],
+    [`${100 + n}`, '', { bg: n + 8 }]
+  ]),
+  ['39', '31;1', { fg: 15 }],
+  ['39', '31', { fg: 7 }],
+  ['49', '44', { bg: 0 }],
+
+  // 256 colours
+  ['38;5;3', '', { fg: 3 }],
+  ['38;5;12', '', { fg: 12 }],
+  ['38;5;16', '', { fg: 16 }],
+  ['38;5;196', '', { fg: 196 }],
+  ['38;5;255', '', { fg: 255 }],
+  ['38:5:196', '', { fg: 196 }],
+  ['48;5;17', '', { bg: 17 }],
+  ['48:5:17', '', { bg: 17 }],
+  ['1;38;5;1', '', { fg: 9 }],
+  ['1;38;5;100', '', { fg: 100, bold: true }],
+  ['38;5;196;4', '', { fg: 196, underline: true }],
+
+  // Truecolour
+  ['38;2;255;128;0', '', { fg: '#ff8000' }],
+  ['38:2::255:128:0', '', { fg: '#ff8000' }],
+  ['38:2:255:128:0', '', { fg: '#ff8000' }],
+  ['48;2;0;0;255', '', { bg: '#0000ff' }],
+  ['48:2::0:0:255', '', { bg: '#0000ff' }],
+  ['1;38;2;1;2;3', '', { fg: '#010203', bold: true }],
+  ['7;38;2;1;2;3', '', { fg: 0, bg: '#010203' }],
+  ['38;2;1;2;3;9', '', { fg: '#010203', strike: true }],
+
+  // Underline colour is read and dropped
+  ['58;5;196;31', '', { fg: 1 }],
+  ['58;2;1;2;3;4', '', { fg: 7, underline: true }],
+  ['58:2::1:2:3;4', '', { fg: 7, underline: true }],
+
+  // Ignored codes and out-of-range colours leave the state alone
+  ['38;5;300', '31', { fg: 1 }],
+  ['48;2;1;2;300', '44', { bg: 4 }],
+  ['10;11;20;26;53;73', '31;4', { fg: 1, underline: true, italic: false }]
+];
+
+for (const [params, before, expected] of SGR_TABLE) {
+  test(`SGR ${params || '(empty)'}${before ? ` after ${before}` : ''}`, () => {
+    const attrs = sgr(params, before);
+    const picked = Object.fromEntries(Object.keys(expected).map(key => [key, attrs[key]]));
+    assert.deepEqual(picked, expected);
+  });
+}
+
+test('palette indices become CSS colours', () => {
+  const parser = new ANSIParser();
+  const cases = [
+    [1, '#aa0000'],
+    [15, '#ffffff'],
+    [16, '#000000'],
+    [21, '#0000ff'],
+    [196, '#ff0000'],
+    [231, '#ffffff'],
+    [232, '#080808'],
+    [255, '#eeeeee'],
+    ['#123456', '#123456']
+  ];
+  for (const [ref, css] of cases) {
+    assert.equal(parser.colorValue(ref), css, String(ref));
+  }
+
+  const [segment] = parser.parse('\x1b[38;5;196;48;2;1;2;3mX');
+  assert.deepEqual([segment.fg, segment.bg], ['#ff0000', '#010203']);
+});
@@ -0,0 +1,79 @@
+/**
+ * AutoLogin tests
+ * The password must only ever go in answer to the login prompt.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AutoLogin = require('../client/js/autologin.js');
+
+function autoLogin(options = {}) {
+  const login = new AutoLogin({ account: 'A0001', password: 'secret', ...options });
+  login.sent = [];
+  login.onSend = (text, field) => login.sent.push([field, text]);
+  login.reset();
+  return login;
+}
+
+test('answers the account and password prompts once each', () => {
+  const login = autoLogin();
+
+  assert.equal(login.check('Account ID: ', true), 'account');
+  assert.equal(login.check('Account ID: ', true), null);
+  assert.equal(login.check('Password: ', true), 'password');
+  assert.equal(login.check('Password: ', true), null);
+  assert.deepEqual(login.sent, [['account', 'A0001'], ['password', 'secret']]);
+});
+
+test('does nothing before the connection is reset', () => {
+  const login = new AutoLogin({ account: 'A0001', password: 'secret' });
+  login.onSend = () => assert.fail('sent before connecting');
+
+  assert.equal(login.check('Password: '), null);
+});
+
+test('a prompt-like line after the game starts is not answered', () => {
+  const login = autoLogin();
+  login.check('Account ID: ', true);
+  login.disarm();
+
+  assert.equal(login.check('Bob says: what is your password: '), null);
+  assert.deepEqual(login.sent, [['account', 'A0001']]);
+});
+
+test('stops looking for prompts after maxLines lines', () => {
+  const login = autoLogin({ maxLines: 3 });
+  login.check('Welcome to MUD2.');
+  login.check('');
+  login.check('Account ID: A0001');
+
+  assert.equal(login.check('Password: ', true), null);
+  assert.deepEqual(login.sent, []);
+});
+
+test('unfinished lines are not counted', () => {
+  const login = autoLogin({ maxLines: 2 });
+  for (let i = 0; i < 10; i++) {
+    login.check('Acc', true);
+  }
+
+  assert.equal(login.check('Account ID: ', true), 'account');
+});
+
+test('stops looking for prompts after the timeout', () => {
+  const login = autoLogin({ timeout: 1000 });
+  login.armedAt -= 2000;
+
+  assert.equal(login.check('Password: ', true), null);
+  assert.equal(login.armed, false);
+});
+
+test('reset looks for the prompts again', () => {
+  const login = autoLogin();
+  login.check('Password: ', true);
+  login.disarm();
+  login.reset();
+
+  assert.equal(login.check('Password: ', true), 'password');
+  assert.equal(login.sent.length, 2);
+});
@@ -0,0 +1,142 @@
+/**
+ * MUD2Protocol stream tests
+ * Recorded MUD2 output is fed to the parser whole, as it was received,
+ * split at every byte offset and one byte at a time; the output must be
+ * the same however the stream is cut.
+ *
+ * sim-*.jsonl were recorded from the proxy's output with mud2sim.js behind
+ * it (one in client mode, one in plain telnet mode); edge-cases.jsonl is
+ * written by hand to cover the sequences the simulator never sends.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const MUD2Protocol = require('../client/js/mud2.js');
+const { ReplayConnection } = require('../server/recording.js');
+
+const fixtures = ['sim-client-mode.jsonl', 'sim-telnet-mode.jsonl', 'edge-cases.jsonl'];
+
+function load(name) {
+  return ReplayConnection.load(path.join(__dirname, 'fixtures', name)).map(e => e.data);
+}
+
+/**
+ * Parse a list of chunks, collecting everything the parser produces
+ * Command offsets are made relative to the whole clean stream.
+ */
+function run(chunks) {
+  const mud2 = new MUD2Protocol();
+  const events = [];
+  const snapshot = (stats) => {
+    const { resetAt, ...rest } = stats;
+    return rest;
+  };
+  mud2.onStatsUpdate = (stats, previous) => events.push(['stats', snapshot(stats), !!previous]);
+  mud2.onModeChange = (mode) => events.push(['mode', mode]);
+  mud2.onDreamword = (word) => events.push(['dreamword', word]);
+  mud2.onAccount = (account) => events.push(['account', { ...account }]);
+
+  const clean = [];
+  const commands = [];
+  for (const chunk of chunks) {
+    const result = mud2.parse(chunk);
+    for (const cmd of result.commands) {
+      commands.push({ ...cmd, offset: cmd.offset + clean.length });
+    }
+    clean.push(...result.cleanData);
+  }
+
+  return {
+    text: Buffer.from(clean).toString('latin1'),
+    commands,
+    events,
+    pending: mud2.pending ? [...mud2.pending] : null
+  };
+}
+
+for (const name of fixtures) {
+  const chunks = load(name);
+  const data = Buffer.concat(chunks);
+  const expected = run([data]);
+
+  test(`${name}: recorded chunks parse like the whole stream`, () => {
+    assert.deepEqual(run(chunks), expected);
+  });
+
+  test(`${name}: split at every offset`, () => {
+    for (let i = 1; i < data.length; i++) {
+      const result = run([data.subarray(0, i), data.subarray(i)]);
+      assert.deepEqual(result, expected, `split at byte ${i}`);
+    }
+  });
+
+  test(`${name}: one byte at a time`, () => {
+    const bytes = [...data].map(b => Uint8Array.of(b));
+    assert.deepEqual(run(bytes), expected);
+  });
+}
+
+test('client mode: codes, FES lines and the account are taken out of the text', () => {
+  const result = run(load('sim-client-mode.jsonl'));
+
+  assert.ok(![...Buffer.from(result.text, 'latin1')].some(b => b >= 155), 'no client code bytes leak');
+  assert.doesNotMatch(result.text, /\d+ \d+ \d+ \d+ \d+ \d+ \d+ \d+ \d+ [YN]/, 'no FES line is shown');
+  assert.deepEqual(result.events.find(e => e[0] === 'account'), ['account', { id: 'A0001', licence: 'L', privs: 0 }]);
+  assert.ok(result.events.some(e => e[0] === 'stats' && e[1].score === 1200 && e[2]));
+  assert.ok(result.events.some(e => e[0] === 'dreamword' && /^[A-Z]+$/.test(e[1])));
+  assert.ok(result.commands.some(c => c.type === 'colorDirect'));
+  assert.ok(result.commands.some(c => c.type === 'combat'));
+});
+
+test('edge cases: line ends, screen codes and Latin-1 text', () => {
+  const result = run(load('edge-cases.jsonl'));
+  const types = result.commands.map(c => c.type);
+  const stats = result.events.filter(e => e[0] === 'stats').map(e => e[1]);
+
+  assert.deepEqual(result.events.find(e => e[0] === 'account'), ['account', { id: 'A0002', licence: 'W', privs: 3 }]);
+  assert.match(result.text, /^Hello, wizard\.\r\n\*Plain reversed text\r\n/);
+  assert.match(result.text, /Caf\xe9 au lait, na\xefve /);
+  assert.deepEqual(types.filter(t => t === 'reverse' || t === 'clearLine' || t === 'clear'),
+    ['clear', 'reverse', 'reverse', 'clearLine']);
+  assert.deepEqual(stats.map(s => [s.stamina, s.score, s.blind, s.reset, s.weather]), [
+    [90, 1250, true, 120, 'raining'],
+    [85, 1260, false, 60, 'cloudy']
+  ]);
+  assert.ok(result.events.some(e => e[0] === 'dreamword' && e[1] === 'PLUGH'));
+  assert.equal(result.pending, null);
+});
+
+test('a trailing high byte that cannot start a client code is text', () => {
+  const mud2 = new MUD2Protocol();
+  const result = mud2.parse(Buffer.from('Caf\xe9 au lait? \xe9', 'latin1'));
+
+  assert.equal(Buffer.from(result.cleanData).toString('latin1'), 'Caf\xe9 au lait? \xe9');
+  assert.equal(mud2.pending, null);
+});
+
+test('a held-back code byte is written out by flush()', () => {
+  const mud2 = new MUD2Protocol();
+
+  // 0xA3 (\xa3) is both C08 and the start of an FES header
+  const result = mud2.parse(Buffer.from('Price: \xa3', 'latin1'));
+  assert.equal(Buffer.from(result.cleanData).toString('latin1'), 'Price: ');
+  assert.deepEqual([...mud2.pending], [0xA3]);
+
+  const flushed = mud2.flush();
+  assert.equal(Buffer.from(flushed.cleanData).toString('latin1'), '\xa3');
+  assert.equal(mud2.pending, null);
+
+  // Nothing left to flush, and codes parse as before
+  assert.equal(mud2.flush().cleanData.length, 0);
+  assert.deepEqual(mud2.parse(Uint8Array.of(0xA2, 0xFF)).commands.map(c => c.type), ['combat']);
+});
+
+test('flush() leaves an unfinished FES line to wait', () => {
+  const mud2 = new MUD2Protocol();
+  mud2.parse(Buffer.from('\xa7\xa3\x9c\xff90 100 80', 'latin1'));
+  const pending = [...mud2.pending];
+
+  assert.equal(mud2.flush().cleanData.length, 0);
+  assert.deepEqual([...mud2.pending], pending);
+});
@@ -0,0 +1,62 @@
+/**
+ * ScreenBuffer cursor save and restore (CSI s / u, ESC 7 / 8)
+ * The screen can shrink or get a smaller scroll region between the save
+ * and the restore; the cursor must come back somewhere on the grid.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ScreenBuffer = require('../client/js/screen.js');
+
+function screenAt(rows, cols, row, col) {
+  const screen = new ScreenBuffer(rows, cols);
+  screen.moveCursor('H', [row + 1, col + 1]);
+  return screen;
+}
+
+test('restore puts the cursor back where it was saved', () => {
+  const screen = screenAt(24, 80, 10, 40);
+  screen.control('s');
+  screen.moveCursor('H', [1, 1]);
+  screen.control('u');
+
+  assert.deepEqual(screen.cursor, { row: 10, col: 40 });
+});
+
+test('restore after the screen shrinks stays on the grid', () => {
+  const screen = screenAt(24, 80, 23, 79);
+  screen.control('s');
+  screen.resize(10, 40);
+  screen.control('u');
+
+  assert.deepEqual(screen.cursor, { row: 9, col: 39 });
+  screen.write('x', [null, null, null]);
+  assert.equal(screen.lines[9].cells[39][0], 'x');
+});
+
+test('restore after the scroll region shrinks stays in the region', () => {
+  const screen = screenAt(24, 80, 20, 5);
+  screen.control('s');
+  screen.control('r', [1, 12]);
+  screen.control('u');
+
+  assert.deepEqual(screen.cursor, { row: 11, col: 5 });
+});
+
+test('a cursor saved outside the scroll region is not pulled into it', () => {
+  const screen = screenAt(24, 80, 5, 0);
+  screen.control('r', [3, 22]);
+  screen.moveCursor('H', [24, 1]);
+  screen.control('s');
+  screen.moveCursor('H', [5, 1]);
+  screen.control('u');
+
+  assert.deepEqual(screen.cursor, { row: 23, col: 0 });
+});
+
+test('restore with nothing saved leaves the cursor alone', () => {
+  const screen = screenAt(24, 80, 3, 4);
+  screen.control('u');
+
+  assert.deepEqual(screen.cursor, { row: 3, col: 4 });
+});
@@ -0,0 +1,167 @@
+/**
+ * MUD3Session tests
+ * A real session with the DOM and the terminal stubbed out: output goes
+ * in through onMessage and what would reach the proxy is collected.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(global, {
+  ANSIParser: require('../client/js/ansi.js'),
+  MUD2Protocol: require('../client/js/mud2.js'),
+  AutoMapper: require('../client/js/mapper.js'),
+  StatHistory: require('../client/js/stathistory.js'),
+  SessionLogger: require('../client/js/logger.js'),
+  SpeedWalker: require('../client/js/speedwalk.js'),
+  TabCompleter: require('../client/js/completion.js'),
+  AliasManager: require('../client/js/aliases.js'),
+  AutoLogin: require('../client/js/autologin.js'),
+  WebSocket: { OPEN: 1 },
+  document: { createElement: () => element() },
+  Terminal: class {
+    constructor() {
+      this.system = [];
+      this.text = '';
+    }
+    writeSystem(text) {
+      this.system.push(text);
+    }
+    write() {}
+    writeSegments(segments) {
+      this.text += segments.map(s => s.text || '').join('');
+    }
+    highlightLine() {}
+    gagLine() {}
+    getSize() {
+      return { cols: 80, rows: 24 };
+    }
+  }
+});
+const MUD3Session = require('../client/js/session.js');
+const TriggerEngine = require('../client/js/triggers.js');
+
+function element() {
+  return { hidden: false, appendChild() {}, remove() {}, querySelector: () => element() };
+}
+
+/**
+ * A connected session; session.sent collects what goes to the proxy
+ */
+function createSession(options = {}) {
+  const client = {
+    settings: { fontSize: 14, logMaxMB: 20, localEcho: false, screenMode: true },
+    storage: { get: async () => null, put: async () => {}, getAll: async () => [] },
+    aliases: new AliasManager(),
+    triggers: new TriggerEngine()
+  };
+  const session = new MUD3Session(client, {
+    terminalFrame: element(),
+    statusBars: element(),
+    statusBarTemplate: { content: { firstElementChild: { cloneNode: () => element() } } },
+    ...options
+  });
+
+  session.sent = [];
+  session.ws = { readyState: WebSocket.OPEN, send: (data) => session.sent.push(data) };
+  session.connected = true;
+  after(() => session.walker.stop(null, true));
+  return session;
+}
+
+/**
+ * Feed MUD output: strings are Latin-1, numbers single bytes
+ */
+function receive(session, ...parts) {
+  const bytes = parts.flatMap(part => (typeof part === 'number' ? [part] : [...Buffer.from(part, 'latin1')]));
+  session.onMessage({ data: Uint8Array.from(bytes) });
+}
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Client codes: Cnn is byte 155 + nn, ended by 0xFF
+const C = (n) => [155 + n, 0xFF];
+
+test('a speedwalk carries on as each room arrives', async () => {
+  const session = createSession();
+  session.walker.options.delay = 0;
+  session.walker.start(['n', 'e']);
+  assert.deepEqual(session.sent, ['n\r\n']);
+
+  // The mapper sees the room and lets the walker go on
+  receive(session, 'Crossroads.\r\nRoads lead off in all four directions.\r\n*');
+  await pause(20);
+  assert.deepEqual(session.sent, ['n\r\n', 'e\r\n']);
+});
+
+test('an event code stops a speedwalk', async () => {
+  const session = createSession();
+  session.walker.options.delay = 0;
+  session.walker.start(['n', 'e', 's']);
+  assert.deepEqual(session.sent, ['n\r\n']);
+
+  receive(session, ...C(8), 'The world is about to be reset!', ...C(99), '\r\n');
+  session.walker.arrived();
+  await pause(20);
+
+  assert.deepEqual(session.sent, ['n\r\n']);
+  assert.equal(session.walker.walking, false);
+  assert.ok(session.terminal.system.includes('Speedwalk stopped: event'));
+});
+
+test('a combat code stops a speedwalk', async () => {
+  const session = createSession();
+  session.walker.options.delay = 0;
+  session.walker.start(['n', 'e']);
+
+  receive(session, ...C(7), 'The rat bites you!', '\r\n');
+  session.walker.arrived();
+  await pause(20);
+
+  assert.deepEqual(session.sent, ['n\r\n']);
+  assert.ok(session.terminal.system.includes('Speedwalk stopped: combat'));
+});
+
+test('auto-login answers the prompts while logging in', () => {
+  const session = createSession();
+  session.setProfile({ name: 'Tester', autoLogin: true, account: 'A0001', aliases: {} }, 'secret');
+  session.autoLogin.reset();
+
+  receive(session, 'Welcome to MUD2.\r\n\r\nAccount ID: ');
+  receive(session, '\r\nPassword: ');
+  assert.deepEqual(session.sent, ['A0001\r\n', 'secret\r\n']);
+});
+
+test('auto-login ignores a password prompt once the game has started', () => {
+  const session = createSession();
+  session.setProfile({ name: 'Tester', autoLogin: true, account: 'A0001', aliases: {} }, 'secret');
+  session.autoLogin.reset();
+
+  receive(session, 'Account ID: ');
+  assert.deepEqual(session.sent, ['A0001\r\n']);
+
+  // Client mode starts with the account header
+  receive(session, 0x1B, 0x2D, 0x43, ...C(95), 'A0001 L 0\r\n');
+  assert.equal(session.mud2.account.id, 'A0001');
+  receive(session, 'Zeus says: tell me your password:\r\n');
+  receive(session, 'Enter the password: ');
+  assert.deepEqual(session.sent, ['A0001\r\n']);
+});
+
+test('a prompt ending in a code byte is shown after a pause', async () => {
+  const session = createSession();
+
+  receive(session, 'Price: ', 0xA3);
+  assert.equal(session.terminal.text, 'Price: ');
+  await pause(300);
+  assert.equal(session.terminal.text, 'Price: \xa3');
+});
+
+test('a held-back code finished by the next message is not flushed', async () => {
+  const session = createSession();
+
+  receive(session, 'Ouch! ', 0xA2);
+  receive(session, 0xFF, 'You are hit.');
+  await pause(300);
+  assert.equal(session.terminal.text, 'Ouch! You are hit.');
+});
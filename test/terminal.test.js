@@ -0,0 +1,58 @@
+/**
+ * Terminal row counting
+ * Scroll positions come from each line's row count, so it must match
+ * how the line wraps: by character cells, not string length.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Terminal = require('../client/js/terminal.js');
+
+function line(...texts) {
+  const segments = texts.map(text => [text, null, null, null]);
+  const joined = texts.join('');
+  return { segments, length: joined.length, width: Terminal.textWidth(joined), highlight: null };
+}
+
+function rows(wrapCols, ...texts) {
+  const terminal = Object.create(Terminal.prototype);
+  terminal.wrapCols = wrapCols;
+  return terminal.countRows(line(...texts));
+}
+
+test('textWidth counts character cells', () => {
+  assert.equal(Terminal.textWidth('A goblin attacks!'), 17);
+  assert.equal(Terminal.textWidth('Caf\xe9 na\xefve'), 10);
+  assert.equal(Terminal.textWidth('Cafe\u0301'), 4, 'combining accent');
+  assert.equal(Terminal.textWidth('a\u200bb'), 2, 'zero-width space');
+  assert.equal(Terminal.textWidth('你好'), 4, 'CJK');
+  assert.equal(Terminal.textWidth('안녕'), 4, 'Hangul');
+  assert.equal(Terminal.textWidth('ＡＢ'), 4, 'fullwidth forms');
+  assert.equal(Terminal.textWidth('\u{1f409}!'), 3, 'emoji');
+  assert.equal(Terminal.textWidth(''), 0);
+});
+
+test('one-cell lines wrap every wrapCols characters', () => {
+  assert.equal(rows(10, ''), 1);
+  assert.equal(rows(10, 'x'.repeat(10)), 1);
+  assert.equal(rows(10, 'x'.repeat(11)), 2);
+  assert.equal(rows(10, 'x'.repeat(6), 'y'.repeat(15)), 3);
+  assert.equal(rows(0, 'x'.repeat(100)), 1, 'not measured yet');
+});
+
+test('wide characters take two cells', () => {
+  assert.equal(rows(10, '你'.repeat(5)), 1);
+  assert.equal(rows(10, '你'.repeat(6)), 2);
+  assert.equal(rows(10, '\u{1f409}'.repeat(5)), 1, 'surrogate pairs');
+});
+
+test('a wide character that does not fit starts the next row', () => {
+  // Nine cells, then a wide character: ten cells are not enough
+  assert.equal(rows(10, 'x'.repeat(9), '你'), 2);
+  assert.equal(rows(10, 'x'.repeat(8), '你'), 1);
+});
+
+test('combining characters take no cells', () => {
+  assert.equal(rows(10, 'e\u0301'.repeat(10)), 1);
+  assert.equal(rows(10, 'e\u0301'.repeat(11)), 2);
+});
@@ -0,0 +1,137 @@
+/**
+ * TriggerEngine tests
+ * Matching, capture substitution, gagging, groups and priorities.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TriggerEngine = require('../client/js/triggers.js');
+
+function engine(...triggers) {
+  const triggerEngine = new TriggerEngine();
+  for (const trigger of triggers) {
+    triggerEngine.add(trigger);
+  }
+  return triggerEngine;
+}
+
+test('plain patterns match anywhere, ignoring case by default', () => {
+  const triggers = engine({ pattern: 'is hungry', value: 'feed' });
+
+  assert.deepEqual(triggers.process('The dog IS HUNGRY.').commands, ['feed']);
+  assert.deepEqual(triggers.process('The dog is asleep.').commands, []);
+});
+
+test('plain patterns are literal text, not regular expressions', () => {
+  const triggers = engine({ pattern: 'a (small) key.', value: 'get key' });
+
+  assert.deepEqual(triggers.process('You see a (small) key.').commands, ['get key']);
+  assert.deepEqual(triggers.process('You see a small key!').commands, []);
+});
+
+test('case-sensitive triggers only match the exact case', () => {
+  const triggers = engine({ pattern: 'Zeus', ignoreCase: false, value: 'bow' });
+
+  assert.deepEqual(triggers.process('zeus arrives.').commands, []);
+  assert.deepEqual(triggers.process('Zeus arrives.').commands, ['bow']);
+});
+
+test('captures are substituted into the value', () => {
+  const triggers = engine({
+    pattern: '^(\\w+) gives you (\\d+) coins?\\.$',
+    regex: true,
+    value: 'say thanks, $1, for $2 coins ($0) - $$5 tip'
+  });
+
+  assert.deepEqual(triggers.process('Bob gives you 10 coins.').commands,
+    ['say thanks, Bob, for 10 coins (Bob gives you 10 coins.) - $5 tip']);
+});
+
+test('missing captures become empty strings', () => {
+  const triggers = engine({ pattern: '(\\w+) (waves)?', regex: true, value: 'say $1|$2|$9' });
+
+  assert.deepEqual(triggers.process('Alice smiles').commands, ['say Alice||']);
+});
+
+test('send values are split into commands on semicolons', () => {
+  const triggers = engine({ pattern: 'You are thirsty', value: 'get water; drink water;; ' });
+
+  assert.deepEqual(triggers.process('You are thirsty.').commands, ['get water', 'drink water']);
+});
+
+test('invalid regular expressions never match', () => {
+  const triggers = engine({ pattern: '([a-z', regex: true, value: 'oops' });
+
+  assert.deepEqual(triggers.process('[a-z').commands, []);
+});
+
+test('gag, sound and notify actions', () => {
+  const triggers = engine(
+    { pattern: 'spam', action: 'gag' },
+    { pattern: 'bell', action: 'sound', value: 'ding' },
+    { pattern: 'tells you', action: 'notify' }
+  );
+
+  const gagged = triggers.process('More spam for you.');
+  assert.equal(gagged.gag, true);
+  assert.deepEqual(gagged.commands, []);
+
+  assert.equal(triggers.process('A bell rings.').gag, false);
+  assert.deepEqual(triggers.process('A bell rings.').sounds, ['ding']);
+  assert.deepEqual(triggers.process('Bob tells you hi.').notifications, ['Bob tells you hi.']);
+});
+
+test('triggers run by priority and the first highlight wins', () => {
+  const triggers = engine(
+    { pattern: 'dragon', action: 'highlight', value: 'green', priority: 1 },
+    { pattern: 'dragon', action: 'send', value: 'flee', priority: 0 },
+    { pattern: 'red dragon', action: 'highlight', value: 'red', priority: 5 },
+    { pattern: 'red', action: 'send', value: 'look red', priority: 9 }
+  );
+
+  const result = triggers.process('A red dragon is here.');
+  assert.equal(result.highlight, 'red');
+  assert.deepEqual(result.commands, ['look red', 'flee']);
+
+  assert.equal(triggers.process('A dragon is here.').highlight, 'green');
+  assert.equal(engine({ pattern: 'x', action: 'highlight' }).process('x').highlight, 'yellow');
+});
+
+test('disabled triggers and groups are skipped', () => {
+  const triggers = engine(
+    { pattern: 'orc', value: 'kill orc', group: 'combat' },
+    { pattern: 'orc', value: 'say hello', enabled: false }
+  );
+
+  assert.deepEqual(triggers.process('An orc.').commands, ['kill orc']);
+
+  triggers.setGroupEnabled('combat', false);
+  assert.equal(triggers.isGroupEnabled('combat'), false);
+  assert.deepEqual(triggers.process('An orc.').commands, []);
+
+  triggers.setGroupEnabled('combat', true);
+  assert.deepEqual(triggers.process('An orc.').commands, ['kill orc']);
+  assert.deepEqual(triggers.getGroups(), ['combat']);
+});
+
+test('once triggers fire once and report the change', () => {
+  const triggers = engine({ pattern: 'welcome', value: 'who', once: true });
+
+  const first = triggers.process('Welcome back!');
+  assert.deepEqual(first.commands, ['who']);
+  assert.equal(first.changed, true);
+  assert.equal(triggers.triggers[0].enabled, false);
+
+  const second = triggers.process('Welcome back!');
+  assert.deepEqual(second.commands, []);
+  assert.equal(second.changed, false);
+});
+
+test('edited patterns are recompiled', () => {
+  const triggers = engine({ pattern: 'cat', value: 'pet' });
+  assert.deepEqual(triggers.process('A cat.').commands, ['pet']);
+
+  triggers.triggers[0].pattern = 'dog';
+  assert.deepEqual(triggers.process('A cat.').commands, []);
+  assert.deepEqual(triggers.process('A dog.').commands, ['pet']);
+});